@@ -0,0 +1,38 @@
+// =========================
+// Activity Log
+// =========================
+// Audit trail for the regulator: USSD sessions, screens, registrations,
+// lookups and account changes. Logging never blocks or fails a request.
+import { ActivityLog } from "./models.js";
+import { normalizePhone } from "./validators.js";
+import { countActivity } from "./metrics.js";
+
+// Keys whose values are never written to the log. Whole names only, so audit
+// fields such as `apiKeyId` or an agency `code` are kept.
+const SENSITIVE = new Set(["password", "passwordhash", "pin", "pinhash", "otp", "secret", "token", "key", "apikey"]);
+
+export const redact = (value) => {
+  if (Array.isArray(value)) return value.map(redact);
+  if (value && typeof value === "object" && !(value instanceof Date) && !value._bsontype) {
+    return Object.fromEntries(
+      Object.entries(value).map(([k, v]) => [k, SENSITIVE.has(k.toLowerCase()) ? "[redacted]" : redact(v)])
+    );
+  }
+  return value;
+};
+
+// `details.courier` (the courier concerned) and `details.actor` (HTTP caller) are stored as their own fields.
+// Events such as registrations and lookups are also counted in metrics.js.
+export const logActivity = (msisdn, action, details = {}) => {
+  countActivity(action, details);
+  const { courier, actor, ...rest } = details;
+  return ActivityLog.create({
+    msisdn: msisdn ? normalizePhone(msisdn) : undefined,
+    action,
+    courier: courier || undefined,
+    actor,
+    details: redact(rest),
+  }).catch((err) => {
+    console.error(`Activity log error (${action}):`, err?.message || err);
+  });
+};
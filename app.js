@@ -1,13 +1,35 @@
 // app.js
 import express from "express";
 import mongoose from "mongoose";
-import cache from "memory-cache";
 import bodyParser from "body-parser";
 import cors from "cors";
 import dotenv from "dotenv";
 import bcrypt from "bcryptjs";
-import { sendEmailAction, generateEmailHtml } from "./send-email.js";
-import { sendSms, sendSmsDetails } from "./send-sms.js";
+import jwt from "jsonwebtoken";
+import crypto from "crypto";
+import { sendEmailAction, transmitEmail, generateComplianceEmailHtml, generateExpiryEmailHtml } from "./send-email.js";
+import { sendComplianceSms, sendTemplatedSms, renderSms } from "./send-sms.js";
+import { createSmsProvider } from "./sms-providers.js";
+import { createIdentityProvider } from "./identity-providers.js";
+import { setIdentityProvider, verifyIdentity } from "./identity-verification.js";
+import { startOutboxWorker, resendNotification, recordDeliveryReport, SECRET_TYPES, REDACTED_BODY } from "./outbox.js";
+import { logActivity } from "./activity-log.js";
+import { issueOtp, verifyOtp } from "./otp.js";
+import { parseCsv, importCouriers, importMaxRows, streamCouriers } from "./courier-import.js";
+import { startExpiryScheduler, EXPIRY_FIELDS } from "./document-expiry.js";
+import { checkLookup, recordLookupResult, checkLogin, recordLoginResult, checkInvitation, retryMinutes } from "./rate-limit.js";
+import { issueVerificationCode, revokeVerificationCodes, checkVerificationCode } from "./verification-codes.js";
+import { COMPLAINT_CATEGORIES, COMPLAINT_STATUSES } from "./complaints.js";
+import { formatCourier } from "./courier-format.js";
+import { checkProfileChanges, updateProfile } from "./courier-profile.js";
+import { createSessionStore } from "./session-store.js";
+import { createUssdEngine } from "./ussd-engine.js";
+import { screens, start, home, translate, SIGNUP_FUNNEL } from "./ussd-menus.js";
+import { inc, requestTimer, renderMetrics } from "./metrics.js";
+import { GATEWAYS, gatewayHandler } from "./ussd-gateways.js";
+import { User, Compliance, ApiKey, Notification, ActivityLog, Agency, Complaint } from "./models.js";
+import { isValidGhanaCard, isValidPhone, normalizePhone, parseDate } from "./validators.js";
+import { t, DEFAULT_LANGUAGE } from "./messages.js";
 
 
 // Load environment variables
@@ -18,12 +40,21 @@ if (!process.env.MONGODB_URI) {
   console.error('❌ Error: MONGODB_URI environment variable is required');
   process.exit(1);
 }
+if (!process.env.JWT_SECRET) {
+  console.error('❌ Error: JWT_SECRET environment variable is required');
+  process.exit(1);
+}
 
 const app = express();
+// Behind a load balancer, req.ip (used for rate limits) must come from X-Forwarded-For
+if (process.env.TRUST_PROXY) app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? Number(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
 
-app.use(bodyParser.json());
+// Bulk imports bring their own, larger body parsers (see /couriers/import)
+const jsonBody = bodyParser.json();
+app.use((req, res, next) => (req.path === "/couriers/import" ? next() : jsonBody(req, res, next)));
 app.use(bodyParser.urlencoded({ extended: false }));
 app.use(cors());
+app.use(requestTimer);
 
 // MongoDB Connection
 mongoose.connect(process.env.MONGODB_URI, {
@@ -42,53 +73,182 @@ mongoose.connection.on('disconnected', () => {
 });
 
 // =========================
-// Schemas & Models
+// Helpers
 // =========================
+// SESSION_STORE=mongo shares sessions between instances and survives restarts
+const sessions = createSessionStore(mongoose, {
+  type: process.env.SESSION_STORE || "memory",
+  ttlMs: 1000 * 60 * (Number(process.env.SESSION_TTL_MINUTES) || 15)
+});
+const ussd = createUssdEngine({
+  screens,
+  sessions,
+  start,
+  home,
+  translate,
+  onEvent: (event, { ctx, screen }) => logActivity(ctx.msisdn, event, { courier: ctx.userRef, screen, sessionID: ctx.sessionID }),
+  pageLength: Number(process.env.USSD_PAGE_LENGTH) || undefined
+});
+
+// Notifications are queued in MongoDB and sent by this worker
+// SMS_PROVIDER=stub sends nothing (local development and CI)
+const smsProvider = createSmsProvider(process.env);
+startOutboxWorker({ sms: smsProvider.send, email: transmitEmail }, {
+  intervalMs: Number(process.env.OUTBOX_POLL_MS) || 5000
+});
+
+// Ghana Card and licence registry checks at sign-up; IDENTITY_PROVIDER=stub answers from fixtures
+setIdentityProvider(createIdentityProvider(process.env));
+
+// Compliance: every required document needs an approved, unexpired submission
+// and must not be past the expiry date on the courier's record
+const REQUIRED_DOCUMENTS = ["dvla", "ghanaCard"];
+
+const refreshCompliance = async (userId) => {
+  const now = new Date();
+  const user = await User.findById(userId).select(Object.values(EXPIRY_FIELDS).join(" "));
+  let isCompliant = true;
+  for (const documentType of REQUIRED_DOCUMENTS) {
+    if (user?.[EXPIRY_FIELDS[documentType]] && user[EXPIRY_FIELDS[documentType]] <= now) isCompliant = false;
+    const valid = await Compliance.exists({
+      user: userId,
+      documentType,
+      status: "approved",
+      $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }]
+    });
+    if (!valid) isCompliant = false;
+  }
+  await User.updateOne({ _id: userId }, { isCompliant });
+  return isCompliant;
+};
+
+// `notes` are this review's only, so an approval does not repeat an earlier rejection reason
+const notifyComplianceChange = (user, record, notes) => {
+  const name = (user.name || user.username || "Courier").split(" ")[0];
+  const lang = user.language || DEFAULT_LANGUAGE;
+  const details = { name, document: record.documentType, status: record.status, notes, isCompliant: user.isCompliant };
+  if (user.phone) {
+    sendComplianceSms(details, user.phone, lang);
+  }
+  if (user.email) {
+    sendEmailAction({
+      type: "compliance",
+      from: process.env.GMAIL_FROM,
+      to: user.email,
+      subject: t(lang, "email.compliance.subject"),
+      text: renderSms("compliance", details, lang),
+      html: generateComplianceEmailHtml(name, record.documentType, record.status, notes, user.isCompliant, lang)
+    });
+  }
+};
 
-// User Schema (courier accounts)
-const userSchema = new mongoose.Schema(
-  {
-    username: { type: String, required: true, unique: true },
-    password: { type: String, required: true },
-    role: { type: String, enum: ["admin", "agency", "operator", "courier"], default: "courier" },
-    name: { type: String },
-    phone: { type: String, unique: true, sparse: true },
-    email: { type: String, unique: true, sparse: true },
-    dvlaNumber: { type: String, unique: true, sparse: true },
-    ghanaCardNumber: { type: String, unique: true, sparse: true },
-    dateOfBirth: { type: Date },
-    isCompliant: { type: Boolean, default: false },
+const setComplianceStatus = async (id, status, { notes, reviewer, expiresAt } = {}) => {
+  const record = await Compliance.findById(id);
+  if (!record) return null;
+  record.status = status;
+  // Reviews without notes keep the earlier ones on the record
+  if (notes !== undefined) record.reviewerNotes = notes;
+  record.reviewedBy = reviewer;
+  record.reviewedAt = new Date();
+  if (expiresAt !== undefined) record.expiresAt = expiresAt;
+  await record.save();
+  // The approved document's expiry date becomes the courier's
+  if (status === "approved" && record.expiresAt) {
+    await User.updateOne({ _id: record.user }, { [EXPIRY_FIELDS[record.documentType]]: record.expiresAt });
+  }
+  await refreshCompliance(record.user);
+  const user = await User.findById(record.user);
+  if (user) notifyComplianceChange(user, record, notes);
+  return { record, isCompliant: !!user?.isCompliant };
+};
+
+// Expiry reminders and automatic expiry (EXPIRY_REMINDER_DAYS, EXPIRY_CHECK_MINUTES)
+const notifyExpiry = (user, template, documentType, params) => {
+  const name = (user.name || user.username || "Courier").split(" ")[0];
+  const lang = user.language || DEFAULT_LANGUAGE;
+  const details = { name, document: documentType, ...params };
+  if (user.phone) sendTemplatedSms(template, details, user.phone, lang);
+  if (user.email) {
+    const text = renderSms(template, details, lang);
+    sendEmailAction({
+      type: template,
+      from: process.env.GMAIL_FROM,
+      to: user.email,
+      subject: t(lang, `email.${template}.subject`),
+      text,
+      html: generateExpiryEmailHtml(name, text, lang)
+    });
+  }
+};
+
+startExpiryScheduler({
+  remind: (user, documentType, { expiresAt, daysLeft }) => {
+    logActivity(user.phone, "expiry_reminder", { courier: user._id, documentType, expiresAt, daysLeft });
+    notifyExpiry(user, "expiry", documentType, { date: expiresAt.toISOString().slice(0, 10), days: daysLeft });
   },
-  { timestamps: true }
+  expire: async (user, documentType, { expiresAt }) => {
+    const isCompliant = await refreshCompliance(user._id);
+    logActivity(user.phone, "document_expired", { courier: user._id, documentType, expiresAt, isCompliant });
+    notifyExpiry(user, "expired", documentType, { date: expiresAt.toISOString().slice(0, 10) });
+  }
+}, {
+  intervalMs: (Number(process.env.EXPIRY_CHECK_MINUTES) || 60) * 60 * 1000
+});
+
+// Auth: Bearer tokens for users, x-api-key for machine clients
+const hashApiKey = (key) => crypto.createHash("sha256").update(key).digest("hex");
+
+const issueToken = (user) => jwt.sign(
+  { sub: user._id.toString(), role: user.role, username: user.username },
+  process.env.JWT_SECRET,
+  { expiresIn: process.env.JWT_EXPIRES_IN || "8h" }
 );
-const User = mongoose.model("User", userSchema);
 
-// =========================
-// Helpers
-// =========================
-const getSession = (sessionID) => cache.get(sessionID);
-const saveSession = (sessionID, data) => cache.put(sessionID, data, 1000 * 60 * 15);
-
-const isValidGhanaCard = (card) => /^GHA-\d{9}-\d{2}$/i.test(card.trim());
-const isValidEmail = (email) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email.trim());
-const isValidDVLA = (dvla) => /^[A-Za-z0-9\-]{5,}$/.test(dvla.trim());
-// Ghana phone validation: accepts 024XXXXXXX, 054XXXXXXX, +23324XXXXXXX, 23324XXXXXXX
-const isValidPhone = (phone) => {
-  const p = (phone || "").toString().trim();
-  return /^(?:0|\+?233)\d{9}$/.test(p);
+const authenticate = async (req, res, next) => {
+  const apiKey = req.get("x-api-key");
+  if (apiKey) {
+    const key = await ApiKey.findOneAndUpdate(
+      { keyHash: hashApiKey(apiKey), active: true },
+      { lastUsedAt: new Date() }
+    );
+    if (!key) return res.status(401).json({ error: 'Invalid API key' });
+    req.auth = { type: "apiKey", id: key._id.toString(), role: key.role, name: key.name, agency: key.agency?.toString() };
+    return next();
+  }
+  const [scheme, token] = (req.get("authorization") || "").split(" ");
+  if (scheme !== "Bearer" || !token) return res.status(401).json({ error: 'Authentication required' });
+  try {
+    const payload = jwt.verify(token, process.env.JWT_SECRET);
+    // Re-read the user so role changes take effect before the token expires
+    const user = await User.findById(payload.sub).select("username role agency suspendedAt deletedAt");
+    if (!user || user.deletedAt) return res.status(401).json({ error: 'Invalid token' });
+    if (user.suspendedAt) return res.status(403).json({ error: 'Account suspended' });
+    req.auth = { type: "user", id: user._id.toString(), role: user.role, name: user.username, agency: user.agency?.toString() };
+    return next();
+  } catch {
+    return res.status(401).json({ error: 'Invalid token' });
+  }
 };
-// Normalize phone to E.164 +233XXXXXXXXX
-const normalizePhone = (phone) => {
-  const p = (phone || "").toString().trim();
-  if (/^0\d{9}$/.test(p)) return "+233" + p.slice(1);
-  if (/^233\d{9}$/.test(p)) return "+" + p;
-  if (/^\+233\d{9}$/.test(p)) return p;
-  return p;
+
+const requireRole = (...roles) => [
+  authenticate,
+  (req, res, next) => {
+    if (!roles.includes(req.auth.role)) return res.status(403).json({ error: 'Forbidden' });
+    return next();
+  }
+];
+
+const tooManyRequests = (res, retryAfterMs, error) => {
+  const retryAfter = Math.ceil(retryAfterMs / 1000);
+  res.setHeader('Retry-After', retryAfter);
+  return res.status(429).json({ error: `${error}. Try again in ${retryMinutes(retryAfterMs)} minute(s).`, retryAfter });
 };
 
-const respond = (res, data) => {
-  res.setHeader('Content-Type', 'application/json');
-  res.status(200).json(data);
+// Lookups without credentials fall back to the public audience
+const optionalAuth = (req, res, next) => {
+  if (req.get("x-api-key") || req.get("authorization")) return authenticate(req, res, next);
+  req.auth = null;
+  return next();
 };
 
 // =========================
@@ -100,330 +260,750 @@ app.get('/', (req, res) => {
   res.status(200).send('Welcome to PCRS USSD Service');
 });
 
-// USSD Endpoint
-app.post('/ussd', async (req, res) => {
-  const { sessionID, userID, newSession, msisdn, userData } = req.body;
-  let userSession = getSession(sessionID);
-
-  // Helper to set and respond
-  const reply = (message, continueSession = true) => {
-    saveSession(sessionID, userSession);
-    return respond(res, { sessionID, userID, message, continueSession, msisdn });
-  };
-
-  // Start or restart session
-  if (newSession || !userSession) {
-    // Try to identify user by msisdn phone
-    let message = "";
-    try {
-      const phone = normalizePhone(msisdn || "");
-      const existing = phone ? await User.findOne({ phone }) : null;
-      if (existing) {
-        const displayName = existing.name || existing.username || existing.phone || "Courier";
-        message = `Hi ${displayName}\n1. View My Details\n2. Lookup Courier\n3. Cancel`;
-        userSession = [{ level: 0, message, loggedIn: true, userRef: existing._id.toString() }];
-      } else {
-        message = "PCRS Couriers Compliance Service\n1. Sign Up\n2. Lookup Courier\n3. Cancel";
-        userSession = [{ level: 0, message, loggedIn: false }];
-      }
-    } catch (e) {
-      message = "PCRS Couriers Compliance Service\n1. Sign Up\n2. Lookup Courier\n3. Cancel";
-      userSession = [{ level: 0, message, loggedIn: false }];
-    }
-    saveSession(sessionID, userSession);
-    return respond(res, { sessionID, userID, message, continueSession: true, msisdn });
-  }
-
-  // Navigation: 0 = Home, 9 = Back
-  if (userData === "0") {
-    // Rebuild the appropriate home menu depending on login status
-    const loggedIn = userSession[0]?.loggedIn;
-    let message = "";
-    if (loggedIn) {
-      try {
-        const me = await User.findById(userSession[0]?.userRef);
-        const displayName = me?.name || me?.username || me?.phone || "Courier";
-        message = `Hi ${displayName}\n1. View My Details\n2. Lookup Courier\n3. Cancel`;
-      } catch {
-        message = "Hi Courier\n1. View My Details\n2. Lookup Courier\n3. Cancel";
-      }
-      userSession = [{ level: 0, message, loggedIn: true, userRef: userSession[0]?.userRef }];
-    } else {
-      message = "PCRS Couriers Compliance Service\n1. Sign Up\n2. Lookup Courier\n3. Cancel";
-      userSession = [{ level: 0, message, loggedIn: false }];
-    }
-    return reply(message, true);
-  }
-  if (userData === "9") {
-    if (userSession.length > 1) userSession.pop();
-    const prev = userSession[userSession.length - 1];
-    return reply(prev.message, true);
-  }
-
-  const current = userSession[userSession.length - 1];
-  let message = "";
-  try {
-    switch (current.level) {
-      case 0: {
-        if (current.loggedIn) {
-          if (userData === "1") {
-            // View My Details
-            try {
-              const me = await User.findById(userSession[0]?.userRef);
-              if (!me) {
-                message = "Account not found.";
-              } else {
-                const summary = `Name: ${me.name || "-"}\nCompliant: ${me.isCompliant ? "Yes" : "No"}\nPhone: ${me.phone || "-"}\nEmail: ${me.email || "-"}\nLicence: ${me.dvlaNumber || "-"}\nGhana Card: ${me.ghanaCardNumber || "-"}`;
-                message = summary;
-                sendSmsDetails({ name: me.name, compliance: me.isCompliant ? "Yes" : "No", phone: me.phone, email: me.email, license: me.dvlaNumber, ghanaCard: me.ghanaCardNumber });
-              }
-            } catch {
-              message = "Unable to fetch details at the moment.";
-            }
-            cache.del(sessionID);
-            return respond(res, { sessionID, userID, message, continueSession: false, msisdn });
-          } else if (userData === "2") {
-            message = "Enter License or Ghana Card Number:";
-            userSession.push({ level: 30, message });
-            return reply(message, true);
-          } else {
-            message = "Session ended.";
-            cache.del(sessionID);
-            return respond(res, { sessionID, userID, message, continueSession: false, msisdn });
-          }
-        } else {
-          if (userData === "1") {
-            // Show info screen before sign-up
-            message = "To register, you'll need:\n\nLicense Number\nGhana Card (e.g., GHA-123456789-01)\n\nPress 1 to continue";
-            userSession.push({ level: 5, message });
-            return reply(message, true);
-          } else if (userData === "2") {
-            message = "Enter License or Ghana Card Number:";
-            userSession.push({ level: 30, message });
-            return reply(message, true);
-          } else {
-            message = "Thank you for using PCRS Courier Compliance Service.";
-            cache.del(sessionID);
-            return respond(res, { sessionID, userID, message, continueSession: false, msisdn });
-          }
-        }
-      }
-
-      // Info screen before sign-up
-      case 5: {
-        // Proceed to name entry regardless of input (USSD convention)
-        message = "Enter Full Name:";
-        userSession.push({ level: 10, message });
-        return reply(message, true);
-      }
-
-      // Sign Up Flow
-      case 10: { // Full Name
-        const name = (userData || "").trim();
-        if (!name || name.length < 3 || /\d/.test(name)) {
-          message = "Invalid name. Enter Full Name:";
-          userSession[userSession.length - 1] = { ...current, message };
-          return reply(message);
-        }
-        message = "Choose a Username:";
-        userSession.push({ level: 11, name, message });
-        return reply(message);
-      }
-      case 11: { // Username
-        const username = (userData || "").trim();
-        if (!/^[a-zA-Z0-9_\.\-]{3,20}$/.test(username)) {
-          message = "Invalid username. Try again:";
-          userSession[userSession.length - 1] = { ...current, message };
-          return reply(message);
-        }
-        const exists = await User.findOne({ username });
-        if (exists) {
-          message = "Username taken. Enter a different Username:";
-          userSession[userSession.length - 1] = { ...current, message };
-          return reply(message);
-        }
-        message = "Enter Phone Number (e.g., 024XXXXXXX):";
-        userSession.push({ level: 12, name: current.name, username, message });
-        return reply(message);
-      }
-      case 12: { // Phone
-        const rawPhone = (userData || "").trim();
-        if (!isValidPhone(rawPhone)) {
-          message = "Invalid phone. Enter Phone Number (e.g., 024XXXXXXX):";
-          userSession[userSession.length - 1] = { ...current, message };
-          return reply(message);
-        }
-        const phone = normalizePhone(rawPhone);
-        const exists = await User.findOne({ phone });
-        if (exists) {
-          message = "Phone already registered. Enter a different Phone Number:";
-          userSession[userSession.length - 1] = { ...current, message };
-          return reply(message);
-        }
-        message = "Enter Email:";
-        userSession.push({ level: 13, name: current.name, username: current.username, phone, message });
-        return reply(message);
-      }
-      case 13: { // Email
-        const email = (userData || "").trim();
-        if (!isValidEmail(email)) {
-          console.log("Email: ", email);
-          message = "Invalid email. Enter Email:";
-          userSession[userSession.length - 1] = { ...current, message };
-          return reply(message);
-        }
-        const exists = await User.findOne({ email });
-        if (exists) {
-          message = "Email already in use. Enter a different Email:";
-          userSession[userSession.length - 1] = { ...current, message };
-          return reply(message);
-        }
-        message = "Create Password:";
-        userSession.push({ level: 14, name: current.name, username: current.username, phone: current.phone, email, message });
-        return reply(message);
-      }
-      case 14: { // Password
-        const password = (userData || "").trim();
-        if (password.length < 6) {
-          message = "Password too short (min 6). Create Password:";
-          userSession[userSession.length - 1] = { ...current, message };
-          return reply(message);
-        }
-        message = "Confirm Password:";
-        userSession.push({ ...current, level: 15, password, message });
-        return reply(message);
-      }
-      case 15: { // Confirm Password
-        const confirm = (userData || "").trim();
-        if (confirm !== current.password) {
-          message = "Passwords do not match. Create Password:";
-          // Go back to password step
-          userSession.pop();
-          userSession[userSession.length - 1] = { ...userSession[userSession.length - 1], message };
-          return reply(message);
-        }
-        message = "Enter Driver's License Number:";
-        userSession.push({ ...current, level: 16, message });
-        return reply(message);
-      }
-      case 16: { // DVLA Number
-        const dvlaNumber = (userData || "").trim().toUpperCase();
-        if (!isValidDVLA(dvlaNumber)) {
-          message = "Invalid Driver's License number. Enter Driver's License Number:";
-          userSession[userSession.length - 1] = { ...current, message };
-          return reply(message);
-        }
-        const exists = await User.findOne({ dvlaNumber });
-        if (exists) {
-          message = "License already registered. Enter a different Driver's License Number:";
-          userSession[userSession.length - 1] = { ...current, message };
-          return reply(message);
-        }
-        message = "Enter Ghana Card (e.g., GHA-123456789-01):";
-        userSession.push({ ...current, level: 17, dvlaNumber, message });
-        return reply(message);
-      }
-      case 17: { // Ghana Card Number
-        const ghanaCardNumber = (userData || "").trim().toUpperCase();
-        if (!isValidGhanaCard(ghanaCardNumber)) {
-          message = "Invalid format. Use GHA-XXXXXXXXX-XX:";
-          userSession[userSession.length - 1] = { ...current, message };
-          return reply(message);
-        }
-        const exists = await User.findOne({ ghanaCardNumber });
-        if (exists) {
-          message = "Ghana Card already registered. Enter a different Ghana Card:";
-          userSession[userSession.length - 1] = { ...current, message };
-          return reply(message);
-        }
-
-        // Create user
-        const { name, username, phone, email, password, dvlaNumber } = current;
-        const hashed = await bcrypt.hash(password, 10);
-        try {
-          await User.create({
-            username,
-            password: hashed,
-            role: "courier",
-            name,
-            phone,
-            email,
-            dvlaNumber,
-            ghanaCardNumber
-          });
-        } catch (e) {
-          message = "Registration failed. Try again later.";
-          cache.del(sessionID);
-          return respond(res, { sessionID, userID, message, continueSession: false, msisdn });
-        }
-        message = "Registration successful!\nAn SMS/Email will be sent to your phone/email shortly.\n#. Next  \n\n\n\n\nPlease follow the link in the SMS/Email to upload your:\Driver's License\nGhana Card";
-        cache.del(sessionID);
-
-        // send sms and email
-        sendSms(name.split(" ")[0], phone);
-        sendEmailAction({ from: process.env.GMAIL_FROM, to: email, subject: "PCRS Registration Successful", text: message, html: generateEmailHtml(name.split(" ")[0]) });
-        return respond(res, { sessionID, userID, message, continueSession: false, msisdn });
-      }
-
-      // Lookup Flow
-      case 30: {
-        const query = (userData || "").trim().toUpperCase();
-        let user = null;
-        if (isValidGhanaCard(query)) {
-          user = await User.findOne({ ghanaCardNumber: query });
-        } else {
-          // treat as DVLA if not ghana card
-          user = await User.findOne({ dvlaNumber: query });
-        }
-        if (!user) {
-          message = "Courier not found. 9.Back 0.Home";
-          userSession[userSession.length - 1] = { ...current, message };
-          return reply(message);
-        }
-        const summary = `Name: ${user.name || "-"}\nCompliant: ${user.isCompliant ? "Yes" : "No"}\nPhone: ${user.phone || "-"}\nEmail: ${user.email || "-"}\nLicense: ${user.dvlaNumber || "-"}\nGhana Card: ${user.ghanaCardNumber || "-"}`;
-        message = `${summary}`;
-        sendSmsDetails({ name: user.name, compliance: user.isCompliant ? "Yes" : "No", phone: user.phone, email: user.email, license: user.dvlaNumber, ghanaCard: user.ghanaCardNumber }, msisdn);
-        cache.del(sessionID);
-        return respond(res, { sessionID, userID, message, continueSession: false, msisdn });
-      }
-
-      default: {
-        message = "Session reset.";
-        const home = "PCRS Couriers Compliance Service\n1. Sign Up\n2. Lookup Courier\n3. Cancel";
-        userSession = [{ level: 0, message: home }];
-        return reply(home);
-      }
-    }
-  } catch (err) {
-    console.error("USSD Error:", err?.message || err);
-    message = "Service temporarily unavailable. Try later.";
-    cache.del(sessionID);
-    return respond(res, { sessionID, userID, message, continueSession: false, msisdn });
-  }
-});
+// USSD Endpoints, one per gateway; all of them run the same menus
+app.post('/ussd', gatewayHandler(ussd, GATEWAYS.arkesel));
+app.post('/ussd/africastalking', gatewayHandler(ussd, GATEWAYS.africastalking));
+app.post('/ussd/hubtel', gatewayHandler(ussd, GATEWAYS.hubtel));
 
 // =========================
 // Courier APIs (optional HTTP)
 // =========================
-app.get('/courier/lookup', async (req, res) => {
+app.get('/courier/lookup', optionalAuth, async (req, res) => {
   const id = (req.query.id || "").toString().trim().toUpperCase();
   if (!id) return res.status(400).json({ error: 'Missing id' });
+  // Limited per IP and per API key / signed-in user
+  const callers = [`ip:${req.ip}`, ...(req.auth ? [`${req.auth.type}:${req.auth.id}`] : [])];
+  const limit = await checkLookup(callers);
+  if (!limit.allowed) {
+    logActivity(null, "lookup_limited", { channel: "http", actor: req.auth?.name, ip: req.ip, reason: limit.reason });
+    return tooManyRequests(res, limit.retryAfterMs, limit.reason === "blocked" ? 'Too many unsuccessful lookups' : 'Too many lookups');
+  }
   let user = null;
-  if (isValidGhanaCard(id)) user = await User.findOne({ ghanaCardNumber: id });
-  if (!user) user = await User.findOne({ dvlaNumber: id });
+  if (isValidGhanaCard(id)) user = await User.findOne({ ghanaCardNumber: id, deletedAt: null });
+  if (!user) user = await User.findOne({ dvlaNumber: id, deletedAt: null });
+  // Couriers see their own record in full; agencies only see more of their own riders
+  let audience = req.auth?.role || "public";
+  if (audience === "agency" && (!req.auth.agency || user?.agency?.toString() !== req.auth.agency)) audience = "public";
+  if (user && req.auth?.type === "user" && req.auth.id === user._id.toString()) audience = "self";
+  logActivity(null, "lookup", {
+    channel: "http",
+    courier: user?._id,
+    actor: req.auth?.name,
+    ip: req.ip,
+    queryType: isValidGhanaCard(id) ? "ghanaCard" : "dvla",
+    found: !!user,
+    audience
+  });
+  const blockedMs = await recordLookupResult(callers, !!user);
+  if (blockedMs) {
+    logActivity(null, "lookup_blocked", { channel: "http", actor: req.auth?.name, ip: req.ip });
+    return tooManyRequests(res, blockedMs, 'Too many unsuccessful lookups');
+  }
+  if (!user) return res.status(404).json({ error: 'Not found' });
+  return res.json(formatCourier(user, audience));
+});
+
+// Verification codes: couriers issue a short-lived code, customers check it
+app.get('/courier/verify/:code', optionalAuth, async (req, res) => {
+  const callers = [`ip:${req.ip}`, ...(req.auth ? [`${req.auth.type}:${req.auth.id}`] : [])];
+  const limit = await checkLookup(callers);
+  if (!limit.allowed) {
+    logActivity(null, "lookup_limited", { channel: "http", actor: req.auth?.name, ip: req.ip, reason: limit.reason });
+    return tooManyRequests(res, limit.retryAfterMs, limit.reason === "blocked" ? 'Too many unsuccessful lookups' : 'Too many lookups');
+  }
+  const match = await checkVerificationCode(req.params.code);
+  logActivity(null, "lookup", {
+    channel: "http",
+    courier: match?.user._id,
+    actor: req.auth?.name,
+    ip: req.ip,
+    queryType: "verificationCode",
+    found: !!match,
+    audience: "public"
+  });
+  const blockedMs = await recordLookupResult(callers, !!match);
+  if (blockedMs) {
+    logActivity(null, "lookup_blocked", { channel: "http", actor: req.auth?.name, ip: req.ip });
+    return tooManyRequests(res, blockedMs, 'Too many unsuccessful lookups');
+  }
+  if (!match) return res.status(404).json({ error: 'Invalid or expired code' });
+  return res.json({ ...formatCourier(match.user, "public"), codeExpiresAt: match.expiresAt });
+});
+
+app.post('/courier/verification-codes', requireRole("courier"), async (req, res) => {
+  const { code, expiresAt } = await issueVerificationCode(req.auth.id);
+  logActivity(null, "verification_code_issued", { courier: req.auth.id, actor: req.auth.name, channel: "http" });
+  return res.status(201).json({ code, expiresAt });
+});
+
+// Couriers cancel their own code; staff pass ?courier=<id>
+app.delete('/courier/verification-codes', requireRole("courier", "admin", "operator"), async (req, res) => {
+  let courier = req.auth.id;
+  if (req.auth.role !== "courier") {
+    courier = (req.query.courier || "").toString();
+    if (!mongoose.isValidObjectId(courier)) return res.status(400).json({ error: 'Invalid courier' });
+  }
+  const result = await revokeVerificationCodes(courier);
+  logActivity(null, "verification_code_revoked", { courier, actor: req.auth.name, channel: "http" });
+  return res.json({ revoked: result.modifiedCount });
+});
+
+// =========================
+// Auth APIs
+// =========================
+// Failed logins are counted per username and per IP (LOGIN_MAX_ATTEMPTS, LOGIN_LOCK_MINUTES)
+app.post('/auth/login', async (req, res) => {
+  const { username, password } = req.body || {};
+  if (!username || !password) return res.status(400).json({ error: 'username and password are required' });
+  const name = username.toString().trim();
+  const callers = [`ip:${req.ip}`, `username:${name}`];
+  const limit = await checkLogin(callers);
+  if (!limit.allowed) {
+    logActivity(null, "login_limited", { actor: name, ip: req.ip });
+    return tooManyRequests(res, limit.retryAfterMs, 'Too many failed logins');
+  }
+  const user = await User.findOne({ username: name, deletedAt: null });
+  const ok = user ? await bcrypt.compare(password.toString(), user.password) : false;
+  const blockedMs = await recordLoginResult(callers, ok);
+  if (!ok) {
+    logActivity(null, "login_failed", { courier: user?._id, actor: name, ip: req.ip });
+    if (blockedMs) return tooManyRequests(res, blockedMs, 'Too many failed logins');
+    return res.status(401).json({ error: 'Invalid credentials' });
+  }
+  if (user.suspendedAt) return res.status(403).json({ error: 'Account suspended' });
+  logActivity(user.phone, "login", { courier: user._id, actor: user.username, ip: req.ip });
+  return res.json({ token: issueToken(user), role: user.role, username: user.username });
+});
+
+// Password reset: a one-time code is texted to the phone on file, then
+// exchanged for a new password. Accounts are found by username or phone.
+const findAccount = ({ username, phone }) => {
+  if (username) return User.findOne({ username: username.toString().trim(), deletedAt: null });
+  if (phone) return User.findOne({ phone: normalizePhone(phone.toString()), deletedAt: null });
+  return null;
+};
+
+app.post('/auth/password-reset/request', async (req, res) => {
+  const { username, phone } = req.body || {};
+  if (!username && !phone) return res.status(400).json({ error: 'username or phone is required' });
+  const user = await findAccount({ username, phone });
+  if (user?.phone) {
+    await issueOtp(user, "password_reset");
+    logActivity(user.phone, "password_reset_requested", { courier: user._id, channel: "http", ip: req.ip });
+  }
+  // Same answer either way so the endpoint does not reveal which accounts exist
+  return res.status(202).json({ message: 'If the account exists, a code has been sent to its phone' });
+});
+
+app.post('/auth/password-reset/confirm', async (req, res) => {
+  const { username, phone, code, password } = req.body || {};
+  if ((!username && !phone) || !code || !password) return res.status(400).json({ error: 'username or phone, code and password are required' });
+  if (password.toString().length < 6) return res.status(400).json({ error: 'Password must be at least 6 characters' });
+  const user = await findAccount({ username, phone });
+  const result = user ? await verifyOtp(user._id, "password_reset", code) : { ok: false, attemptsLeft: 0 };
+  if (!result.ok) {
+    if (user) logActivity(user.phone, "password_reset_failed", { courier: user._id, channel: "http", ip: req.ip });
+    return res.status(400).json({ error: 'Invalid or expired code', attemptsLeft: result.attemptsLeft });
+  }
+  await User.updateOne({ _id: user._id }, { password: await bcrypt.hash(password.toString(), 10) });
+  logActivity(user.phone, "password_reset", { courier: user._id, channel: "http", ip: req.ip });
+  return res.json({ message: 'Password changed' });
+});
+
+const API_KEY_ROLES = ApiKey.schema.path("role").enumValues;
+
+app.post('/auth/api-keys', requireRole("admin"), async (req, res) => {
+  const { name, role, agencyCode } = req.body || {};
+  if (!name) return res.status(400).json({ error: 'name is required' });
+  if (role !== undefined && !API_KEY_ROLES.includes(role)) return res.status(400).json({ error: 'Invalid role' });
+  let agency;
+  if (role === "agency") {
+    agency = await Agency.findOne({ code: (agencyCode || "").toString().trim().toUpperCase() });
+    if (!agency) return res.status(400).json({ error: 'A valid agencyCode is required for agency keys' });
+  }
+  const key = `pcrs_${crypto.randomBytes(24).toString("hex")}`;
+  const record = await ApiKey.create({ name: name.toString().trim(), role, agency: agency?._id, keyHash: hashApiKey(key), prefix: key.slice(0, 9) });
+  logActivity(null, "api_key_created", { actor: req.auth.name, apiKeyId: record._id, name: record.name, role: record.role });
+  // The plain key is only ever returned here
+  return res.status(201).json({ id: record._id, name: record.name, role: record.role, key });
+});
+
+app.get('/auth/api-keys', requireRole("admin"), async (req, res) => {
+  const keys = await ApiKey.find().select("-keyHash").sort({ createdAt: -1 });
+  return res.json(keys);
+});
+
+app.delete('/auth/api-keys/:id', requireRole("admin"), async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) return res.status(400).json({ error: 'Invalid id' });
+  const key = await ApiKey.findByIdAndUpdate(req.params.id, { active: false }, { new: true }).select("-keyHash");
+  if (!key) return res.status(404).json({ error: 'Not found' });
+  logActivity(null, "api_key_revoked", { actor: req.auth.name, apiKeyId: key._id, name: key.name });
+  return res.json(key);
+});
+
+// =========================
+// Compliance APIs (operator/admin)
+// =========================
+app.post('/compliance/submissions', requireRole("admin", "operator", "courier"), async (req, res) => {
+  const { documentType, documentNumber, documentUrl, expiresAt } = req.body || {};
+  // Couriers may only submit their own documents
+  const username = req.auth.role === "courier" ? req.auth.name : req.body?.username?.toString().trim();
+  if (!username || !REQUIRED_DOCUMENTS.includes(documentType)) {
+    return res.status(400).json({ error: 'username and a valid documentType are required' });
+  }
+  const expiry = expiresAt ? new Date(expiresAt) : undefined;
+  if (expiry && isNaN(expiry)) return res.status(400).json({ error: 'Invalid expiresAt' });
+  const user = await User.findOne({ username });
+  if (!user) return res.status(404).json({ error: 'Courier not found' });
+  const record = await Compliance.create({
+    user: user._id,
+    documentType,
+    documentNumber: (documentNumber || "").toString().trim().toUpperCase() || undefined,
+    documentUrl,
+    expiresAt: expiry
+  });
+  logActivity(user.phone, "compliance_submitted", { courier: user._id, actor: req.auth.name, submission: record._id, documentType });
+  return res.status(201).json(record);
+});
+
+app.get('/compliance/submissions', requireRole("admin", "operator"), async (req, res) => {
+  const filter = {};
+  if (req.query.status) filter.status = req.query.status.toString();
+  if (req.query.username) {
+    const user = await User.findOne({ username: req.query.username.toString() });
+    if (!user) return res.json([]);
+    filter.user = user._id;
+  }
+  const records = await Compliance.find(filter).sort({ createdAt: -1 }).limit(100).populate("user", "username name phone isCompliant");
+  return res.json(records);
+});
+
+const reviewRoute = (status, { notesRequired = false } = {}) => async (req, res) => {
+  const { notes, expiresAt } = req.body || {};
+  if (!mongoose.isValidObjectId(req.params.id)) return res.status(400).json({ error: 'Invalid id' });
+  if (notesRequired && !notes) return res.status(400).json({ error: 'Reviewer notes are required' });
+  const expiry = expiresAt ? new Date(expiresAt) : undefined;
+  if (expiry && isNaN(expiry)) return res.status(400).json({ error: 'Invalid expiresAt' });
+  const result = await setComplianceStatus(req.params.id, status, {
+    notes,
+    reviewer: req.auth.name,
+    expiresAt: expiry
+  });
+  if (!result) return res.status(404).json({ error: 'Not found' });
+  logActivity(null, "compliance_review", {
+    courier: result.record.user,
+    actor: req.auth.name,
+    submission: result.record._id,
+    documentType: result.record.documentType,
+    status,
+    isCompliant: result.isCompliant
+  });
+  return res.json(result);
+};
+
+app.post('/compliance/submissions/:id/approve', requireRole("admin", "operator"), reviewRoute("approved"));
+app.post('/compliance/submissions/:id/reject', requireRole("admin", "operator"), reviewRoute("rejected", { notesRequired: true }));
+app.post('/compliance/submissions/:id/expire', requireRole("admin", "operator"), reviewRoute("expired"));
+
+// =========================
+// Complaint APIs (operator/admin)
+// =========================
+// Filed by the public over USSD ("Report a Courier"), see complaints.js
+const findComplaint = (id) => (mongoose.isValidObjectId(id) ? Complaint.findById(id) : Complaint.findOne({ reference: id.toUpperCase() }));
+
+app.get('/complaints', requireRole("admin", "operator"), async (req, res) => {
+  const filter = {};
+  for (const field of ["status", "category", "assignedTo"]) {
+    if (req.query[field]) filter[field] = req.query[field].toString();
+  }
+  if (req.query.username) {
+    const user = await User.findOne({ username: req.query.username.toString() });
+    if (!user) return res.json({ total: 0, page: 1, items: [] });
+    filter.courier = user._id;
+  }
+  const limit = Math.min(Number(req.query.limit) || 50, 500);
+  const page = Math.max(Number(req.query.page) || 1, 1);
+  const [total, items] = await Promise.all([
+    Complaint.countDocuments(filter),
+    Complaint.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit).populate("courier", "username name phone complaintCount")
+  ]);
+  return res.json({ total, page, items });
+});
+
+app.get('/complaints/:id', requireRole("admin", "operator"), async (req, res) => {
+  const complaint = await findComplaint(req.params.id);
+  if (!complaint) return res.status(404).json({ error: 'Not found' });
+  await complaint.populate("courier", "username name phone complaintCount");
+  return res.json(complaint);
+});
+
+// Assigns to another operator/admin (`{ assignee }`), or to the caller
+app.post('/complaints/:id/assign', requireRole("admin", "operator"), async (req, res) => {
+  const assignee = (req.body?.assignee || req.auth.name).toString().trim();
+  if (!(await User.exists({ username: assignee, role: { $in: ["admin", "operator"] } }))) {
+    return res.status(400).json({ error: 'assignee must be an operator or admin' });
+  }
+  const complaint = await findComplaint(req.params.id);
+  if (!complaint) return res.status(404).json({ error: 'Not found' });
+  if (complaint.status === "closed") return res.status(409).json({ error: 'Complaint is closed' });
+  complaint.assignedTo = assignee;
+  complaint.status = "in_progress";
+  await complaint.save();
+  logActivity(null, "complaint_assigned", { courier: complaint.courier, actor: req.auth.name, complaint: complaint._id, assignee });
+  return res.json(complaint);
+});
+
+// `{ status, category, note }`; closing goes through /close, setting the status back to open or in_progress reopens
+app.patch('/complaints/:id', requireRole("admin", "operator"), async (req, res) => {
+  const { status, category, note } = req.body || {};
+  if (status && (status === "closed" || !COMPLAINT_STATUSES.includes(status))) return res.status(400).json({ error: 'Invalid status' });
+  if (category && !COMPLAINT_CATEGORIES.includes(category)) return res.status(400).json({ error: 'Invalid category' });
+  const complaint = await findComplaint(req.params.id);
+  if (!complaint) return res.status(404).json({ error: 'Not found' });
+  if (status) {
+    complaint.status = status;
+    complaint.resolution = complaint.closedBy = complaint.closedAt = undefined;
+  }
+  if (category) complaint.category = category;
+  if (note) complaint.notes.push({ text: note.toString().trim(), by: req.auth.name });
+  await complaint.save();
+  logActivity(null, "complaint_updated", { courier: complaint.courier, actor: req.auth.name, complaint: complaint._id, status, category });
+  return res.json(complaint);
+});
+
+app.post('/complaints/:id/close', requireRole("admin", "operator"), async (req, res) => {
+  const resolution = (req.body?.resolution || "").toString().trim();
+  if (!resolution) return res.status(400).json({ error: 'resolution is required' });
+  const complaint = await findComplaint(req.params.id);
+  if (!complaint) return res.status(404).json({ error: 'Not found' });
+  complaint.status = "closed";
+  complaint.resolution = resolution;
+  complaint.closedBy = req.auth.name;
+  complaint.closedAt = new Date();
+  await complaint.save();
+  logActivity(null, "complaint_closed", { courier: complaint.courier, actor: req.auth.name, complaint: complaint._id });
+  return res.json(complaint);
+});
+
+// =========================
+// Bulk Import & Export (admin)
+// =========================
+const importBody = [
+  bodyParser.json({ limit: "5mb" }),
+  bodyParser.text({ type: ["text/csv", "text/plain"], limit: "5mb" })
+];
+
+// CSV (text/csv) or a JSON array of rows; ?dryRun=true only validates
+app.post('/couriers/import', requireRole("admin"), importBody, async (req, res) => {
+  const dryRun = req.query.dryRun === "true";
+  let rows;
+  if (typeof req.body === "string") rows = parseCsv(req.body);
+  else if (Array.isArray(req.body)) rows = req.body;
+  else if (Array.isArray(req.body?.couriers)) rows = req.body.couriers;
+  else return res.status(400).json({ error: 'Send CSV or a JSON array of couriers' });
+  if (!rows.length) return res.status(400).json({ error: 'No rows to import' });
+  if (rows.length > importMaxRows()) return res.status(413).json({ error: `At most ${importMaxRows()} rows per import` });
+
+  const report = await importCouriers(rows, { dryRun, actor: req.auth.name });
+  if (report.created) inc("registrations_total", { channel: "import" }, report.created);
+  logActivity(null, dryRun ? "import_checked" : "import", { actor: req.auth.name, total: report.total, valid: report.valid, created: report.created });
+  return res.status(dryRun ? 200 : 201).json(report);
+});
+
+// `?from=&to=` on the creation date; null when a date is invalid
+const createdBetween = (query) => {
+  if (!query.from && !query.to) return undefined;
+  const range = {};
+  if (query.from) range.$gte = new Date(query.from.toString());
+  if (query.to) range.$lte = new Date(query.to.toString());
+  return Object.values(range).some((d) => isNaN(d)) ? null : range;
+};
+
+// ?format=csv|json&compliant=true|false&from=&to= (creation date)&agency=CODE
+app.get('/couriers/export', requireRole("admin", "operator"), async (req, res) => {
+  const format = (req.query.format || "csv").toString();
+  if (!["csv", "json"].includes(format)) return res.status(400).json({ error: 'format must be csv or json' });
+  const filter = { role: "courier", deletedAt: null };
+  if (req.query.compliant !== undefined) filter.isCompliant = req.query.compliant === "true";
+  const createdAt = createdBetween(req.query);
+  if (createdAt === null) return res.status(400).json({ error: 'Invalid date' });
+  if (createdAt) filter.createdAt = createdAt;
+  if (req.query.agency) {
+    const agency = await Agency.findOne({ code: req.query.agency.toString().trim().toUpperCase() });
+    if (!agency) return res.status(400).json({ error: 'Unknown agency' });
+    filter.agency = agency._id;
+  }
+  logActivity(null, "export", { actor: req.auth.name, format, filter: req.query });
+  await streamCouriers(res, filter, format);
+});
+
+// =========================
+// Identity Verification (admin)
+// =========================
+// Re-runs the registry checks, e.g. after a registry outage; `{ dateOfBirth }` fills it in for older accounts
+app.post('/couriers/:id/verify-identity', requireRole("admin"), async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) return res.status(400).json({ error: 'Invalid id' });
+  const user = await User.findOne({ _id: req.params.id, role: "courier", deletedAt: null });
+  if (!user) return res.status(404).json({ error: 'Not found' });
+  if (req.body?.dateOfBirth) {
+    const dateOfBirth = parseDate(req.body.dateOfBirth);
+    if (!dateOfBirth) return res.status(400).json({ error: 'Invalid dateOfBirth' });
+    user.dateOfBirth = dateOfBirth;
+    await user.save();
+  }
+  const result = await verifyIdentity(user, { actor: req.auth.name });
+  return res.json(result);
+});
+
+// =========================
+// Courier Management (operator/admin)
+// =========================
+// Writes use the same checks as USSD sign-up (see courier-profile.js).
+// Operators manage couriers; admins manage every account and alone may delete.
+const COURIER_SORT_FIELDS = ["name", "username", "createdAt", "isCompliant", "complaintCount"];
+const USER_ROLES = User.schema.path("role").enumValues;
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const managedView = (user, audience) => ({
+  id: user._id,
+  ...formatCourier(user, audience),
+  language: user.language,
+  dateOfBirth: user.dateOfBirth,
+  dvlaExpiresAt: user.dvlaExpiresAt,
+  ghanaCardExpiresAt: user.ghanaCardExpiresAt,
+  agency: user.agency,
+  suspendedAt: user.suspendedAt,
+  suspendedBy: user.suspendedBy,
+  suspensionReason: user.suspensionReason,
+  deletedAt: user.deletedAt,
+});
+
+// Null when the id is invalid, the account is deleted (unless `includeDeleted`) or the caller may not manage it
+const findManagedUser = async (req, { includeDeleted = false } = {}) => {
+  if (!mongoose.isValidObjectId(req.params.id)) return null;
+  const user = await User.findOne({ _id: req.params.id, ...(includeDeleted ? {} : { deletedAt: null }) });
+  if (!user || (req.auth.role !== "admin" && user.role !== "courier")) return null;
+  return user;
+};
+
+// ?q= (part of the name, username or phone), role, compliant, from/to,
+// status=active|suspended|deleted (default: everyone not deleted), sort=-createdAt, page, limit
+app.get('/couriers', requireRole("admin", "operator"), async (req, res) => {
+  const filter = {};
+  switch ((req.query.status || "").toString()) {
+    case "":
+      filter.deletedAt = null;
+      break;
+    case "active":
+      Object.assign(filter, { deletedAt: null, suspendedAt: null });
+      break;
+    case "suspended":
+      Object.assign(filter, { deletedAt: null, suspendedAt: { $ne: null } });
+      break;
+    case "deleted":
+      filter.deletedAt = { $ne: null };
+      break;
+    default:
+      return res.status(400).json({ error: 'status must be active, suspended or deleted' });
+  }
+  if (req.query.role) {
+    if (!USER_ROLES.includes(req.query.role)) return res.status(400).json({ error: 'Invalid role' });
+    filter.role = req.query.role;
+  }
+  // Operators only see the accounts they may manage
+  if (req.auth.role !== "admin") {
+    if (filter.role && filter.role !== "courier") return res.json({ total: 0, page: 1, items: [] });
+    filter.role = "courier";
+  }
+  if (req.query.compliant !== undefined) filter.isCompliant = req.query.compliant === "true";
+  const createdAt = createdBetween(req.query);
+  if (createdAt === null) return res.status(400).json({ error: 'Invalid date' });
+  if (createdAt) filter.createdAt = createdAt;
+  const q = (req.query.q || "").toString().trim();
+  if (q) {
+    const pattern = new RegExp(escapeRegex(q), "i");
+    filter.$or = [{ name: pattern }, { username: pattern }, { phone: pattern }];
+    // "0244 123" should find "+233244123456"
+    const digits = q.replace(/\D/g, "").replace(/^0+/, "");
+    if (digits.length >= 3) filter.$or.push({ phone: new RegExp(digits) });
+  }
+
+  const sortParam = (req.query.sort || "-createdAt").toString();
+  const sortField = sortParam.replace(/^-/, "");
+  if (!COURIER_SORT_FIELDS.includes(sortField)) return res.status(400).json({ error: `sort must be one of ${COURIER_SORT_FIELDS.join(", ")}` });
+  const limit = Math.min(Number(req.query.limit) || 50, 500);
+  const page = Math.max(Number(req.query.page) || 1, 1);
+  const [total, users] = await Promise.all([
+    User.countDocuments(filter),
+    User.find(filter).sort({ [sortField]: sortParam.startsWith("-") ? -1 : 1, _id: 1 }).skip((page - 1) * limit).limit(limit)
+  ]);
+  return res.json({ total, page, items: users.map((user) => managedView(user, req.auth.role)) });
+});
+
+// Deleted accounts can still be read here
+app.get('/couriers/:id', requireRole("admin", "operator"), async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) return res.status(400).json({ error: 'Invalid id' });
+  const user = await findManagedUser(req, { includeDeleted: true });
+  if (!user) return res.status(404).json({ error: 'Not found' });
+  return res.json({ ...managedView(user, req.auth.role), identityVerification: user.identityVerification, documentHistory: user.documentHistory });
+});
+
+// `{ name, username, phone, email, dvlaNumber, ghanaCardNumber, language }`, any subset
+app.patch('/couriers/:id', requireRole("admin", "operator"), async (req, res) => {
+  const user = await findManagedUser(req);
+  if (!user) return res.status(404).json({ error: 'Not found' });
+  const { changes, errors } = await checkProfileChanges(user._id, req.body || {});
+  if (errors.length) return res.status(400).json({ error: 'Invalid fields', errors });
+  if (!Object.keys(changes).length) return res.status(400).json({ error: 'Nothing to update' });
+  const changed = await updateProfile(user, changes, { actor: req.auth.name });
+  return res.json({ changed, courier: managedView(user, req.auth.role) });
+});
+
+app.post('/couriers/:id/suspend', requireRole("admin", "operator"), async (req, res) => {
+  const reason = (req.body?.reason || "").toString().trim();
+  if (!reason) return res.status(400).json({ error: 'reason is required' });
+  const user = await findManagedUser(req);
+  if (!user) return res.status(404).json({ error: 'Not found' });
+  if (user._id.toString() === req.auth.id) return res.status(400).json({ error: 'You cannot suspend your own account' });
+  if (user.suspendedAt) return res.status(409).json({ error: 'Already suspended' });
+  user.suspendedAt = new Date();
+  user.suspendedBy = req.auth.name;
+  user.suspensionReason = reason;
+  await user.save();
+  // Customers must not be shown a valid code for a suspended courier
+  await revokeVerificationCodes(user._id);
+  logActivity(user.phone, "account_suspended", { courier: user._id, actor: req.auth.name, reason });
+  return res.json(managedView(user, req.auth.role));
+});
+
+app.post('/couriers/:id/reactivate', requireRole("admin", "operator"), async (req, res) => {
+  const user = await findManagedUser(req);
+  if (!user) return res.status(404).json({ error: 'Not found' });
+  if (!user.suspendedAt) return res.status(409).json({ error: 'Not suspended' });
+  user.suspendedAt = user.suspendedBy = user.suspensionReason = undefined;
+  await user.save();
+  logActivity(user.phone, "account_reactivated", { courier: user._id, actor: req.auth.name });
+  return res.json(managedView(user, req.auth.role));
+});
+
+// Soft delete: the record stays for the audit trail but disappears from lookups, lists and sign-in
+app.delete('/couriers/:id', requireRole("admin"), async (req, res) => {
+  const user = await findManagedUser(req);
+  if (!user) return res.status(404).json({ error: 'Not found' });
+  if (user._id.toString() === req.auth.id) return res.status(400).json({ error: 'You cannot delete your own account' });
+  user.deletedAt = new Date();
+  user.deletedBy = req.auth.name;
+  await user.save();
+  await revokeVerificationCodes(user._id);
+  logActivity(user.phone, "account_deleted", { courier: user._id, actor: req.auth.name });
+  return res.status(204).end();
+});
+
+// =========================
+// Metrics & Reports
+// =========================
+// Prometheus scrape endpoint; protect it with METRICS_TOKEN when exposed publicly
+app.get('/metrics', (req, res) => {
+  if (process.env.METRICS_TOKEN && req.get("authorization") !== `Bearer ${process.env.METRICS_TOKEN}`) {
+    return res.status(401).json({ error: 'Invalid token' });
+  }
+  res.type("text/plain; version=0.0.4").send(renderMetrics());
+});
+
+// Daily registrations, compliance rate and the USSD sign-up funnel for the last `days` days
+app.get('/reports/summary', requireRole("admin"), async (req, res) => {
+  const days = Math.min(Math.max(Number(req.query.days) || 30, 1), 365);
+  const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+  const [registrations, couriers, compliant, funnelCounts, completed] = await Promise.all([
+    User.aggregate([
+      { $match: { role: "courier", createdAt: { $gte: since } } },
+      { $group: { _id: { $dateToString: { format: "%Y-%m-%d", date: "$createdAt" } }, count: { $sum: 1 } } },
+      { $sort: { _id: 1 } }
+    ]),
+    User.countDocuments({ role: "courier", deletedAt: null }),
+    User.countDocuments({ role: "courier", isCompliant: true, deletedAt: null }),
+    // Sessions that reached each sign-up screen (a session counts once per screen)
+    ActivityLog.aggregate([
+      { $match: { action: "screen", "details.screen": { $in: SIGNUP_FUNNEL }, timestamp: { $gte: since } } },
+      { $group: { _id: { screen: "$details.screen", session: "$details.sessionID" } } },
+      { $group: { _id: "$_id.screen", sessions: { $sum: 1 } } }
+    ]),
+    ActivityLog.countDocuments({ action: "register", timestamp: { $gte: since } })
+  ]);
+
+  const reached = Object.fromEntries(funnelCounts.map((s) => [s._id, s.sessions]));
+  const steps = [...SIGNUP_FUNNEL.map((screen) => ({ step: screen, sessions: reached[screen] || 0 })), { step: "registered", sessions: completed }];
+  const funnel = steps.map((step, i) => ({
+    ...step,
+    dropOff: i < steps.length - 1 ? Math.max(step.sessions - steps[i + 1].sessions, 0) : 0
+  }));
+
+  return res.json({
+    since,
+    registrations: registrations.map((r) => ({ date: r._id, count: r.count })),
+    compliance: { couriers, compliant, rate: couriers ? compliant / couriers : 0 },
+    funnel
+  });
+});
+
+// =========================
+// Agency APIs
+// =========================
+app.post('/agencies', requireRole("admin"), async (req, res) => {
+  const { name, code, phone, email } = req.body || {};
+  if (!name || !code) return res.status(400).json({ error: 'name and code are required' });
+  if (!/^[A-Za-z0-9]{3,12}$/.test(code.toString().trim())) return res.status(400).json({ error: 'code must be 3-12 letters or digits' });
+  if (await Agency.exists({ code: code.toString().trim().toUpperCase() })) return res.status(409).json({ error: 'Agency code already in use' });
+  const agency = await Agency.create({ name, code, phone: phone ? normalizePhone(phone) : undefined, email });
+  logActivity(null, "agency_created", { actor: req.auth.name, agency: agency._id, code: agency.code });
+  return res.status(201).json(agency);
+});
+
+app.get('/agencies', requireRole("admin", "operator"), async (req, res) => {
+  const agencies = await Agency.find().sort({ name: 1 });
+  return res.json(agencies);
+});
+
+// Agency users only ever see their own agency; admins pick one with ?agency=CODE
+const agencyScope = async (req, res, next) => {
+  if (req.auth.role === "agency") {
+    req.agency = req.auth.agency && await Agency.findOne({ _id: req.auth.agency, active: true });
+    if (!req.agency) return res.status(403).json({ error: 'No active agency for this account' });
+  } else {
+    req.agency = await Agency.findOne({ code: (req.query.agency || "").toString().trim().toUpperCase() });
+    if (!req.agency) return res.status(400).json({ error: 'A valid agency code is required' });
+  }
+  return next();
+};
+
+// Latest submission of each required document
+const complianceSummary = async (userId) => {
+  const summary = {};
+  for (const documentType of REQUIRED_DOCUMENTS) {
+    const latest = await Compliance.findOne({ user: userId, documentType }).sort({ createdAt: -1 });
+    summary[documentType] = latest ? { status: latest.status, expiresAt: latest.expiresAt, reviewedAt: latest.reviewedAt } : { status: "missing" };
+  }
+  return summary;
+};
+
+const findAgencyCourier = (req) => {
+  if (!mongoose.isValidObjectId(req.params.id)) return null;
+  return User.findOne({ _id: req.params.id, role: "courier", agency: req.agency._id, deletedAt: null });
+};
+
+app.get('/agency/couriers', requireRole("agency", "admin"), agencyScope, async (req, res) => {
+  const filter = { role: "courier", agency: req.agency._id, deletedAt: null };
+  if (req.query.compliant !== undefined) filter.isCompliant = req.query.compliant === "true";
+  const limit = Math.min(Number(req.query.limit) || 50, 500);
+  const page = Math.max(Number(req.query.page) || 1, 1);
+  const [total, couriers] = await Promise.all([
+    User.countDocuments(filter),
+    User.find(filter).sort({ name: 1 }).skip((page - 1) * limit).limit(limit)
+  ]);
+  const items = couriers.map((user) => ({ id: user._id, ...formatCourier(user, "agency") }));
+  return res.json({ total, page, items });
+});
+
+app.get('/agency/couriers/:id', requireRole("agency", "admin"), agencyScope, async (req, res) => {
+  const user = await findAgencyCourier(req);
   if (!user) return res.status(404).json({ error: 'Not found' });
   return res.json({
-    username: user.username,
-    name: user.name,
-    phone: user.phone,
-    email: user.email,
-    dvlaNumber: user.dvlaNumber,
-    ghanaCardNumber: user.ghanaCardNumber,
-    role: user.role,
-    createdAt: user.createdAt
+    id: user._id,
+    ...formatCourier(user, "agency"),
+    dvlaExpiresAt: user.dvlaExpiresAt,
+    ghanaCardExpiresAt: user.ghanaCardExpiresAt,
+    compliance: await complianceSummary(user._id)
   });
 });
 
+// Texts the agency code to a rider; they join by entering it at sign-up or under Update My Details
+app.post('/agency/invitations', requireRole("agency", "admin"), agencyScope, async (req, res) => {
+  const phone = normalizePhone((req.body?.phone || "").toString());
+  if (!isValidPhone(phone)) return res.status(400).json({ error: 'A valid phone is required' });
+  const existing = await User.findOne({ phone });
+  if (existing?.agency?.equals(req.agency._id)) return res.status(409).json({ error: 'Courier already belongs to this agency' });
+  const limit = await checkInvitation(req.agency._id);
+  if (!limit.allowed) return tooManyRequests(res, limit.retryAfterMs, 'Daily invitation limit reached');
+  sendTemplatedSms("agencyInvite", { agency: req.agency.name, code: req.agency.code, registered: !!existing }, phone, existing?.language || DEFAULT_LANGUAGE);
+  logActivity(phone, "agency_invite", { courier: existing?._id, actor: req.auth.name, agency: req.agency._id });
+  return res.status(202).json({ message: 'Invitation sent', phone });
+});
+
+app.delete('/agency/couriers/:id', requireRole("agency", "admin"), agencyScope, async (req, res) => {
+  const user = await findAgencyCourier(req);
+  if (!user) return res.status(404).json({ error: 'Not found' });
+  await User.updateOne({ _id: user._id }, { $unset: { agency: 1 } });
+  logActivity(user.phone, "agency_removed", { courier: user._id, actor: req.auth.name, agency: req.agency._id });
+  return res.status(204).end();
+});
+
+// =========================
+// Notification APIs
+// =========================
+// Arkesel delivery reports (set SMS_DELIVERY_CALLBACK_URL to this route, with ?token=DELIVERY_WEBHOOK_TOKEN)
+const deliveryReport = async (req, res) => {
+  const params = { ...req.query, ...(req.body || {}) };
+  if (process.env.DELIVERY_WEBHOOK_TOKEN && params.token !== process.env.DELIVERY_WEBHOOK_TOKEN) {
+    return res.status(401).json({ error: 'Invalid token' });
+  }
+  const id = params.sms_id || params.id || params.message_id;
+  const status = params.status || params.delivery_status;
+  if (!id || !status) return res.status(400).json({ error: 'id and status are required' });
+  const notification = await recordDeliveryReport(id.toString(), status);
+  if (!notification) return res.status(404).json({ error: 'Not found' });
+  return res.json({ ok: true });
+};
+app.post('/webhooks/arkesel/delivery', deliveryReport);
+app.get('/webhooks/arkesel/delivery', deliveryReport);
+
+app.get('/notifications', requireRole("admin", "operator"), async (req, res) => {
+  // Failed notifications by default
+  const status = (req.query.status || "dead,undelivered").toString().split(",");
+  const filter = { status: { $in: status } };
+  if (req.query.channel) filter.channel = req.query.channel.toString();
+  const limit = Math.min(Number(req.query.limit) || 50, 200);
+  const notifications = await Notification.find(filter).sort({ updatedAt: -1 }).limit(limit);
+  // Codes still waiting to go out are not shown either
+  return res.json(notifications.map((n) => (SECRET_TYPES.includes(n.type) ? { ...n.toObject(), body: REDACTED_BODY } : n)));
+});
+
+app.post('/notifications/:id/resend', requireRole("admin", "operator"), async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) return res.status(400).json({ error: 'Invalid id' });
+  const notification = await resendNotification(req.params.id);
+  if (!notification) return res.status(404).json({ error: 'Not found, currently sending or a one-time code' });
+  return res.json(notification);
+});
+
+// =========================
+// Activity Log APIs (admin)
+// =========================
+// Filters: courier (username or id), msisdn (caller), action, from/to (dates)
+app.get('/activity', requireRole("admin"), async (req, res) => {
+  const filter = {};
+  if (req.query.courier) {
+    const ref = req.query.courier.toString();
+    const user = mongoose.isValidObjectId(ref) ? { _id: ref } : await User.findOne({ username: ref }).select("_id");
+    if (!user) return res.json({ total: 0, page: 1, items: [] });
+    filter.courier = user._id;
+  }
+  if (req.query.msisdn) filter.msisdn = normalizePhone(req.query.msisdn.toString());
+  if (req.query.action) filter.action = { $in: req.query.action.toString().split(",") };
+  if (req.query.from || req.query.to) {
+    filter.timestamp = {};
+    if (req.query.from) filter.timestamp.$gte = new Date(req.query.from.toString());
+    if (req.query.to) filter.timestamp.$lte = new Date(req.query.to.toString());
+    if (Object.values(filter.timestamp).some((d) => isNaN(d))) return res.status(400).json({ error: 'Invalid date' });
+  }
+  const limit = Math.min(Number(req.query.limit) || 50, 500);
+  const page = Math.max(Number(req.query.page) || 1, 1);
+  const [total, items] = await Promise.all([
+    ActivityLog.countDocuments(filter),
+    ActivityLog.find(filter).sort({ timestamp: -1 }).skip((page - 1) * limit).limit(limit).populate("courier", "username name")
+  ]);
+  return res.json({ total, page, items });
+});
+
 // =========================
 // Start Server
 // =========================
@@ -431,4 +1011,5 @@ const PORT = process.env.PORT || 8000;
 app.listen(PORT, () => {
   console.log(`✅ PCRS Courier Compliance Service USSD running on port ${PORT}`);
   console.log(`🔗 MongoDB: ${process.env.MONGODB_URI}`);
+  console.log(`📨 SMS provider: ${smsProvider.name}`);
 });
\ No newline at end of file
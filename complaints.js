@@ -0,0 +1,42 @@
+// =========================
+// Complaints
+// =========================
+// Reports from the public against a courier (misconduct, lost parcels,
+// unregistered riders). They are filed over USSD and triaged by operators
+// through the /complaints routes: open -> in_progress (assigned) -> closed.
+import crypto from "crypto";
+import { Complaint, User } from "./models.js";
+import { normalizePhone } from "./validators.js";
+import { logActivity } from "./activity-log.js";
+
+export const COMPLAINT_CATEGORIES = Complaint.schema.path("category").enumValues;
+export const COMPLAINT_STATUSES = Complaint.schema.path("status").enumValues;
+export const DESCRIPTION_MAX = 160;
+
+// No 0/O or 1/I so references survive being read out over the phone
+const REFERENCE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+const newReference = () =>
+  "CP-" + Array.from({ length: 6 }, () => REFERENCE_ALPHABET[crypto.randomInt(REFERENCE_ALPHABET.length)]).join("");
+
+// `courier` is the matched courier's id, if any. Resolves to the Complaint.
+export const fileComplaint = async ({ courier, courierQuery, category, description, msisdn, channel = "ussd" }) => {
+  let complaint;
+  for (let attempt = 0; !complaint; attempt++) {
+    try {
+      complaint = await Complaint.create({
+        reference: newReference(),
+        courier: courier || undefined,
+        courierQuery,
+        category,
+        description,
+        msisdn: normalizePhone(msisdn),
+        channel,
+      });
+    } catch (err) {
+      if (err?.code !== 11000 || attempt >= 4) throw err;
+    }
+  }
+  if (courier) await User.updateOne({ _id: courier }, { $inc: { complaintCount: 1 } });
+  logActivity(msisdn, "complaint_filed", { courier, channel, complaint: complaint._id, reference: complaint.reference, category });
+  return complaint;
+};
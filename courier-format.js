@@ -0,0 +1,86 @@
+// =========================
+// Courier Lookup Formatting
+// =========================
+// Decides what each audience may see of a courier record:
+//   public   - anyone dialing in or calling the API without credentials
+//   courier  - another courier (treated like the public)
+//   agency   - partner agencies
+//   operator/admin/self - full details
+import { t, DEFAULT_LANGUAGE } from "./messages.js";
+
+// Keep the last `visible` characters, e.g. "DL12345678" -> "*******678"
+export const maskValue = (value, visible = 3) => {
+  const v = (value || "").toString();
+  if (v.length <= visible) return "*".repeat(v.length);
+  return "*".repeat(v.length - visible) + v.slice(-visible);
+};
+
+// "Kwame Mensah Asante" -> "Kwame M. A."
+export const shortName = (name) => {
+  const parts = (name || "").toString().trim().split(/\s+/).filter(Boolean);
+  if (!parts.length) return "";
+  return [parts[0], ...parts.slice(1).map((p) => `${p[0].toUpperCase()}.`)].join(" ");
+};
+
+const full = (user) => ({
+  username: user.username,
+  name: user.name,
+  phone: user.phone,
+  email: user.email,
+  dvlaNumber: user.dvlaNumber,
+  ghanaCardNumber: user.ghanaCardNumber,
+  isCompliant: !!user.isCompliant,
+  role: user.role,
+  createdAt: user.createdAt,
+});
+
+// Operators and admins also see complaints and the latest registry check
+const staff = (user) => ({
+  ...full(user),
+  complaintCount: user.complaintCount || 0,
+  identityStatus: user.identityVerification?.status,
+  identityScore: user.identityVerification?.score,
+});
+
+const AUDIENCES = {
+  public: (user) => ({
+    name: shortName(user.name || user.username),
+    isCompliant: !!user.isCompliant,
+    dvlaNumber: maskValue(user.dvlaNumber),
+  }),
+  agency: (user) => ({
+    username: user.username,
+    name: user.name,
+    phone: maskValue(user.phone, 3),
+    dvlaNumber: user.dvlaNumber,
+    ghanaCardNumber: maskValue(user.ghanaCardNumber, 2),
+    isCompliant: !!user.isCompliant,
+    role: user.role,
+    createdAt: user.createdAt,
+  }),
+  operator: staff,
+  admin: staff,
+  self: full,
+};
+AUDIENCES.courier = AUDIENCES.public;
+
+// Every audience is told when the account is suspended
+export const formatCourier = (user, audience = "public") => {
+  const format = AUDIENCES[audience] || AUDIENCES.public;
+  const details = { ...format(user), suspended: user.suspendedAt ? true : undefined };
+  return Object.fromEntries(Object.entries(details).filter(([, v]) => v !== undefined && v !== ""));
+};
+
+// Plain-text summary for USSD screens and SMS, from formatCourier() output
+export const courierSummary = (details, lang = DEFAULT_LANGUAGE) => {
+  const lines = [
+    ["summary.name", details.name || "-"],
+    ["summary.compliant", t(lang, details.isCompliant ? "yes" : "no")],
+    ["summary.suspended", details.suspended ? t(lang, "yes") : undefined],
+    ["summary.phone", details.phone],
+    ["summary.email", details.email],
+    ["summary.license", details.dvlaNumber],
+    ["summary.ghanaCard", details.ghanaCardNumber],
+  ];
+  return lines.filter(([, v]) => v !== undefined).map(([label, v]) => `${t(lang, label)}: ${v}`).join("\n");
+};
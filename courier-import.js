@@ -0,0 +1,227 @@
+// =========================
+// Bulk Import & Export
+// =========================
+// Columns: name, dateOfBirth, username, phone, email, password, dvlaNumber,
+// dvlaExpiresAt, ghanaCardNumber, ghanaCardExpiresAt, agencyCode, language.
+// Couriers imported from CSV or JSON go through the same checks as USSD
+// sign-up: formats, an adult date of birth, expiry dates in the future and
+// unique username, phone, email, licence and Ghana Card (against the database
+// and the rest of the file). Each created courier is then checked against the
+// identity registries, as after sign-up.
+// Rows without a password get a random one. When the courier first dials in,
+// the PIN set-up screen offers "99. Forgot PIN", which texts them a code to set a PIN.
+import crypto from "crypto";
+import bcrypt from "bcryptjs";
+import { User, Agency } from "./models.js";
+import { PROFILE_FIELDS } from "./courier-profile.js";
+import { verifyIdentity } from "./identity-verification.js";
+import { isValidName, isValidUsername, dateOfBirthError, parseDate } from "./validators.js";
+import { isLanguage } from "./messages.js";
+
+const UNIQUE_FIELDS = ["username", "phone", "email", "dvlaNumber", "ghanaCardNumber"];
+export const importMaxRows = () => Number(process.env.IMPORT_MAX_ROWS) || 1000;
+
+// RFC 4180 CSV (quoted fields, "" escapes, CRLF or LF); the first line is the header
+export const parseCsv = (text) => {
+  const records = [];
+  let record = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        field += c;
+      }
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ",") {
+      record.push(field);
+      field = "";
+    } else if (c === "\n" || c === "\r") {
+      if (c === "\r" && text[i + 1] === "\n") i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = "";
+    } else {
+      field += c;
+    }
+  }
+  if (field || record.length) {
+    record.push(field);
+    records.push(record);
+  }
+  const [header = [], ...rows] = records.filter((r) => r.some((v) => v.trim()));
+  const keys = header.map((h) => h.trim());
+  return rows.map((r) => Object.fromEntries(keys.map((k, i) => [k, r[i] ?? ""])));
+};
+
+const clean = (value) => (value ?? "").toString().trim();
+
+// Normalizes one row and lists its format problems as { field, error }
+const checkRow = (raw, today) => {
+  const data = {
+    name: clean(raw.name),
+    dateOfBirth: parseDate(raw.dateOfBirth),
+    username: clean(raw.username),
+    password: clean(raw.password),
+    dvlaExpiresAt: parseDate(raw.dvlaExpiresAt),
+    ghanaCardExpiresAt: parseDate(raw.ghanaCardExpiresAt),
+    agencyCode: clean(raw.agencyCode).toUpperCase(),
+    language: clean(raw.language) || undefined,
+  };
+  const errors = [];
+  if (!isValidName(data.name)) errors.push({ field: "name", error: "invalid" });
+  const dobProblem = dateOfBirthError(data.dateOfBirth);
+  if (dobProblem) errors.push({ field: "dateOfBirth", error: dobProblem });
+  if (!isValidUsername(data.username)) errors.push({ field: "username", error: "invalid" });
+  for (const [field, rule] of Object.entries(PROFILE_FIELDS)) {
+    data[field] = rule.normalize(clean(raw[field]));
+    if (!data[field] || !rule.isValid(data[field])) errors.push({ field, error: "invalid" });
+  }
+  if (data.password && data.password.length < 6) errors.push({ field: "password", error: "short" });
+  for (const field of ["dvlaExpiresAt", "ghanaCardExpiresAt"]) {
+    if (!data[field]) errors.push({ field, error: "invalid" });
+    else if (data[field] <= today) errors.push({ field, error: "expired" });
+  }
+  if (data.language && !isLanguage(data.language)) errors.push({ field: "language", error: "invalid" });
+  return { data, errors };
+};
+
+// Resolves to [{ row, data, errors }]; row numbers are 1-based data rows
+export const validateImport = async (rows) => {
+  const today = new Date().toISOString().slice(0, 10);
+  const results = rows.map((raw, i) => ({ row: i + 1, ...checkRow(raw || {}, today) }));
+
+  // Uniqueness: one query per field for the whole file, then duplicates inside the file
+  for (const field of UNIQUE_FIELDS) {
+    const values = results.map((r) => r.data[field]).filter(Boolean);
+    const taken = new Set((await User.find({ [field]: { $in: values } }).select(field)).map((u) => u[field]));
+    const seen = new Set();
+    for (const result of results) {
+      const value = result.data[field];
+      if (!value || result.errors.some((e) => e.field === field)) continue;
+      if (taken.has(value)) result.errors.push({ field, error: "taken" });
+      else if (seen.has(value)) result.errors.push({ field, error: "duplicate" });
+      seen.add(value);
+    }
+  }
+
+  const codes = [...new Set(results.map((r) => r.data.agencyCode).filter(Boolean))];
+  const agencies = new Map((await Agency.find({ code: { $in: codes }, active: true })).map((a) => [a.code, a._id]));
+  for (const result of results) {
+    if (!result.data.agencyCode) continue;
+    result.data.agency = agencies.get(result.data.agencyCode);
+    if (!result.data.agency) result.errors.push({ field: "agencyCode", error: "unknown" });
+  }
+  return results;
+};
+
+// Creates the valid rows unless `dryRun`; resolves to the report returned by the API
+export const importCouriers = async (rows, { dryRun = false, actor } = {}) => {
+  const results = await validateImport(rows);
+  const valid = results.filter((r) => !r.errors.length);
+  const report = {
+    dryRun,
+    total: results.length,
+    valid: valid.length,
+    created: 0,
+    errors: results.filter((r) => r.errors.length).map(({ row, data, errors }) => ({ row, username: data.username, errors })),
+  };
+  if (dryRun) return report;
+
+  const created = [];
+  for (const { row, data } of valid) {
+    const { agencyCode, password, ...fields } = data;
+    try {
+      const user = await User.create({
+        ...fields,
+        role: "courier",
+        password: await bcrypt.hash(password || crypto.randomBytes(18).toString("base64url"), 10),
+      });
+      created.push(user);
+      report.created += 1;
+    } catch (err) {
+      // Someone registered the same details while the import was running
+      report.errors.push({ row, username: data.username, errors: [{ field: "row", error: err?.code === 11000 ? "taken" : "failed" }] });
+    }
+  }
+  report.errors.sort((a, b) => a.row - b.row);
+  // Registry lookups can be slow, so they run one at a time after the response
+  (async () => {
+    for (const user of created) await verifyIdentity(user, { actor });
+  })();
+  return report;
+};
+
+// =========================
+// Export
+// =========================
+export const EXPORT_COLUMNS = [
+  "id", "username", "name", "phone", "email",
+  "dvlaNumber", "dvlaExpiresAt", "ghanaCardNumber", "ghanaCardExpiresAt",
+  "isCompliant", "complaintCount", "agencyCode", "createdAt"
+];
+
+const exportRow = (user) => ({
+  id: user._id.toString(),
+  username: user.username,
+  name: user.name,
+  phone: user.phone,
+  email: user.email,
+  dvlaNumber: user.dvlaNumber,
+  dvlaExpiresAt: user.dvlaExpiresAt?.toISOString().slice(0, 10),
+  ghanaCardNumber: user.ghanaCardNumber,
+  ghanaCardExpiresAt: user.ghanaCardExpiresAt?.toISOString().slice(0, 10),
+  isCompliant: !!user.isCompliant,
+  complaintCount: user.complaintCount || 0,
+  agencyCode: user.agency?.code,
+  createdAt: user.createdAt?.toISOString(),
+});
+
+const csvValue = (value) => {
+  const v = value === undefined || value === null ? "" : String(value);
+  return /[",\r\n]/.test(v) ? `"${v.replace(/"/g, '""')}"` : v;
+};
+
+// Streams matching couriers to `res` one document at a time, as CSV or a JSON array.
+// Stops and closes the cursor when the client goes away.
+export const streamCouriers = async (res, filter, format = "csv") => {
+  const cursor = User.find(filter).sort({ createdAt: 1 }).populate("agency", "code").cursor();
+  let closed = false;
+  const onClose = () => {
+    closed = true;
+    cursor.close().catch(() => {});
+  };
+  res.once("close", onClose);
+  // Wait for the client to catch up instead of buffering the whole export
+  const write = (chunk) => res.write(chunk) || new Promise((resolve) => {
+    const done = () => {
+      res.off("drain", done);
+      res.off("close", done);
+      resolve();
+    };
+    res.once("drain", done);
+    res.once("close", done);
+  });
+  const stamp = new Date().toISOString().slice(0, 10);
+  res.setHeader("Content-Disposition", `attachment; filename="couriers-${stamp}.${format}"`);
+  const json = format === "json";
+  res.type(json ? "application/json" : "text/csv");
+  res.write(json ? "[" : EXPORT_COLUMNS.join(",") + "\n");
+  let first = true;
+  for await (const user of cursor) {
+    if (closed) break;
+    const row = exportRow(user);
+    await write(json ? (first ? "" : ",") + JSON.stringify(row) : EXPORT_COLUMNS.map((c) => csvValue(row[c])).join(",") + "\n");
+    first = false;
+  }
+  res.off("close", onClose);
+  if (!closed) res.end(json ? "]" : "");
+};
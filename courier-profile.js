@@ -0,0 +1,82 @@
+// =========================
+// Courier Profile Updates
+// =========================
+// The fields a courier (or staff, through the admin API) may change after
+// sign-up, checked with the same validators and uniqueness rules as
+// registration. Changing an identity document keeps the old number in
+// `documentHistory`, retires the reviews of the old document and makes the
+// courier non-compliant until the new one is approved.
+import { User, Compliance } from "./models.js";
+import { verifyIdentity } from "./identity-verification.js";
+import { logActivity } from "./activity-log.js";
+import { EXPIRY_FIELDS } from "./document-expiry.js";
+import { isValidEmail, isValidPhone, isValidDVLA, isValidGhanaCard, isValidName, isValidUsername, normalizePhone } from "./validators.js";
+import { isLanguage } from "./messages.js";
+
+const upper = (value) => value.trim().toUpperCase();
+
+export const PROFILE_FIELDS = {
+  email: { normalize: (value) => value.trim(), isValid: isValidEmail },
+  phone: { normalize: (value) => normalizePhone(value.trim()), isValid: isValidPhone },
+  dvlaNumber: { normalize: upper, isValid: isValidDVLA, document: "dvla" },
+  ghanaCardNumber: { normalize: upper, isValid: isValidGhanaCard, document: "ghanaCard" },
+};
+
+// Only staff change these, through the admin API
+export const ACCOUNT_FIELDS = {
+  name: { normalize: (value) => value.trim(), isValid: isValidName, unique: false },
+  username: { normalize: (value) => value.trim(), isValid: isValidUsername },
+  language: { normalize: (value) => value.trim(), isValid: isLanguage, unique: false },
+};
+
+const EDITABLE_FIELDS = { ...PROFILE_FIELDS, ...ACCOUNT_FIELDS };
+
+// Resolves to "invalid", "taken" or nothing when `value` (already normalized) can be saved
+export const checkProfileValue = async (userId, field, value) => {
+  const rule = EDITABLE_FIELDS[field];
+  if (!rule || !value || !rule.isValid(value)) return "invalid";
+  if (rule.unique !== false && await User.exists({ [field]: value, _id: { $ne: userId } })) return "taken";
+};
+
+// Normalizes and checks every field in `body` that can be edited; resolves to
+// { changes, errors: [{ field, error }] } for the admin API
+export const checkProfileChanges = async (userId, body) => {
+  const changes = {};
+  const errors = [];
+  for (const field of Object.keys(EDITABLE_FIELDS)) {
+    if (body[field] === undefined) continue;
+    const value = EDITABLE_FIELDS[field].normalize((body[field] ?? "").toString());
+    const error = await checkProfileValue(userId, field, value);
+    if (error) errors.push({ field, error });
+    else changes[field] = value;
+  }
+  return { changes, errors };
+};
+
+// Saves already checked values; returns the names of the fields that changed
+export const updateProfile = async (user, changes, { actor, msisdn } = {}) => {
+  const changed = Object.keys(changes).filter((field) => EDITABLE_FIELDS[field] && changes[field] !== user[field]);
+  if (!changed.length) return changed;
+
+  const documents = changed.filter((field) => PROFILE_FIELDS[field]?.document);
+  for (const field of documents) {
+    if (user[field]) user.documentHistory.push({ field, value: user[field], changedBy: actor });
+  }
+  for (const field of changed) user[field] = changes[field];
+  // The old document's expiry date does not apply to the new one
+  for (const field of documents) user[EXPIRY_FIELDS[PROFILE_FIELDS[field].document]] = undefined;
+  if (documents.length) user.isCompliant = false;
+  await user.save();
+
+  // Approvals of the old number no longer count towards compliance
+  if (documents.length) {
+    await Compliance.updateMany(
+      { user: user._id, documentType: { $in: documents.map((field) => PROFILE_FIELDS[field].document) }, status: { $in: ["pending", "approved"] } },
+      { status: "expired", reviewerNotes: "Document number changed" }
+    );
+  }
+  logActivity(msisdn || user.phone, "profile_updated", { courier: user._id, actor, fields: changed, complianceReset: documents.length > 0 });
+  // New numbers are checked against the registries in the background
+  if (documents.length) verifyIdentity(user, { actor });
+  return changed;
+};
@@ -0,0 +1,110 @@
+// =========================
+// Document Expiry
+// =========================
+// A scheduler that reminds couriers before their licence or Ghana Card
+// expires and takes their compliance away once it has. It looks at the expiry
+// dates on the courier (`dvlaExpiresAt`, `ghanaCardExpiresAt`) and at approved
+// compliance submissions with an `expiresAt`.
+//
+// Every notice is claimed in MongoDB before it is sent (`expiryNotices` on the
+// courier), so restarts and several instances never send the same reminder
+// twice, and a document that expires on the courier and on its submission is
+// announced once. A new expiry date gets a fresh set of reminders.
+//
+// Callbacks are passed to startExpiryScheduler() by app.js:
+//   remind(user, documentType, { expiresAt, daysLeft })
+//   expire(user, documentType, { expiresAt })
+import { User, Compliance } from "./models.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+export const EXPIRY_FIELDS = { dvla: "dvlaExpiresAt", ghanaCard: "ghanaCardExpiresAt" };
+
+// EXPIRY_REMINDER_DAYS, e.g. "30,7,1"
+export const reminderDays = () => {
+  const days = (process.env.EXPIRY_REMINDER_DAYS || "30,7,1")
+    .split(",")
+    .map((d) => Number(d.trim()))
+    .filter((d) => Number.isInteger(d) && d > 0);
+  return [...new Set(days)].sort((a, b) => a - b);
+};
+
+const dateKey = (date) => date.toISOString().slice(0, 10);
+
+// True for exactly one caller per courier and key
+const claimNotice = async (userId, key) => {
+  const result = await User.updateOne({ _id: userId, expiryNotices: { $ne: key } }, { $push: { expiryNotices: key } });
+  return result.modifiedCount === 1;
+};
+
+const remindUpcoming = async (remind, now) => {
+  const days = reminderDays();
+  if (!days.length) return;
+  const horizon = new Date(now.getTime() + days[days.length - 1] * DAY);
+  for (const [documentType, field] of Object.entries(EXPIRY_FIELDS)) {
+    const users = await User.find({ [field]: { $gt: now, $lte: horizon }, deletedAt: null });
+    for (const user of users) {
+      const expiresAt = user[field];
+      const daysLeft = Math.ceil((expiresAt.getTime() - now.getTime()) / DAY);
+      // Only the closest reminder is due; a scheduler that was down does not catch up on older ones
+      const threshold = days.find((d) => daysLeft <= d);
+      if (!(await claimNotice(user._id, `${documentType}:${dateKey(expiresAt)}:${threshold}`))) continue;
+      await remind(user, documentType, { expiresAt, daysLeft });
+    }
+  }
+};
+
+const expiredKey = (documentType, expiresAt) => `${documentType}:${dateKey(expiresAt)}:expired`;
+
+const expireDocuments = async (expire, now) => {
+  for (const [documentType, field] of Object.entries(EXPIRY_FIELDS)) {
+    const users = await User.find({ [field]: { $lte: now }, deletedAt: null });
+    for (const user of users) {
+      const expiresAt = user[field];
+      if (!(await claimNotice(user._id, expiredKey(documentType, expiresAt)))) continue;
+      await expire(user, documentType, { expiresAt });
+    }
+  }
+
+  // Approved submissions that have run out
+  const records = await Compliance.find({ status: "approved", expiresAt: { $lte: now } }).select("_id");
+  for (const { _id } of records) {
+    const record = await Compliance.findOneAndUpdate(
+      { _id, status: "approved" },
+      { status: "expired", reviewerNotes: "Document expired", reviewedAt: now },
+      { new: true }
+    );
+    if (!record) continue;
+    // Approval copies the date onto the courier, so the loop above has usually sent this notice already
+    const user = await User.findById(record.user);
+    if (!user || !(await claimNotice(user._id, expiredKey(record.documentType, record.expiresAt)))) continue;
+    await expire(user, record.documentType, { expiresAt: record.expiresAt, record });
+  }
+};
+
+let running = null;
+
+// One pass over all couriers; concurrent calls share the same run
+export const checkDocumentExpiry = (callbacks) => {
+  if (!running) {
+    running = (async () => {
+      const now = new Date();
+      try {
+        await expireDocuments(callbacks.expire, now);
+        await remindUpcoming(callbacks.remind, now);
+      } catch (err) {
+        console.error("Expiry check error:", err?.message || err);
+      } finally {
+        running = null;
+      }
+    })();
+  }
+  return running;
+};
+
+export const startExpiryScheduler = (callbacks, { intervalMs = 60 * 60 * 1000 } = {}) => {
+  const timer = setInterval(() => checkDocumentExpiry(callbacks), intervalMs);
+  timer.unref?.();
+  checkDocumentExpiry(callbacks);
+  return () => clearInterval(timer);
+};
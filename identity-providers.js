@@ -0,0 +1,75 @@
+// =========================
+// Identity Verification Providers
+// =========================
+// Every provider exposes the same interface used by identity-verification.js:
+//   lookup({ documentType, documentNumber }) -> registry record, or null if the document does not exist
+//   (throws if the registry could not be reached)
+// Records come back in the registry's own shape and are read by REGISTRY_RECORDS:
+//   ghanaCard (NIA)  { forenames, surname, birthDate: "YYYY-MM-DD", status: "ACTIVE" | ... }
+//   dvla             { fullName, dateOfBirth: "DD/MM/YYYY", status: "VALID" | ... }
+//
+// Chosen from configuration:
+//   IDENTITY_PROVIDER      none (default, nothing is checked) | http | stub
+//   IDENTITY_NIA_URL       http only: Ghana Card lookups, GET <url>/<number>
+//   IDENTITY_DVLA_URL      http only: licence lookups, GET <url>/<number>
+//   IDENTITY_API_KEY       http only: sent as the x-api-key header
+//   IDENTITY_FIXTURE_FILE  stub only: JSON fixtures (default fixtures/identity.json)
+import fs from "fs/promises";
+import { parseDate } from "./validators.js";
+
+// Registry record -> { name, dateOfBirth: "YYYY-MM-DD", active }
+export const REGISTRY_RECORDS = {
+  ghanaCard: (record) => ({
+    name: [record.forenames, record.surname].filter(Boolean).join(" "),
+    dateOfBirth: parseDate(record.birthDate),
+    active: (record.status || "ACTIVE").toUpperCase() === "ACTIVE",
+  }),
+  dvla: (record) => ({
+    name: record.fullName || "",
+    dateOfBirth: parseDate(record.dateOfBirth),
+    active: (record.status || "VALID").toUpperCase() === "VALID",
+  }),
+};
+
+export const createHttpProvider = ({ urls, apiKey }) => ({
+  name: "http",
+  lookup: async ({ documentType, documentNumber }) => {
+    const url = urls[documentType];
+    if (!url) throw new Error(`No registry configured for ${documentType}`);
+    const response = await fetch(`${url.replace(/\/$/, "")}/${encodeURIComponent(documentNumber)}`, {
+      headers: { "Accept": "application/json", ...(apiKey ? { "x-api-key": apiKey } : {}) },
+      signal: AbortSignal.timeout(10000),
+    });
+    if (response.status === 404) return null;
+    if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+    return response.json();
+  },
+});
+
+// Answers from a local fixture file; for local development and CI
+export const createStubProvider = ({ file = new URL("./fixtures/identity.json", import.meta.url) } = {}) => {
+  let fixtures = null;
+  return {
+    name: "stub",
+    lookup: async ({ documentType, documentNumber }) => {
+      fixtures ||= JSON.parse(await fs.readFile(file, "utf8"));
+      return fixtures[documentType]?.[documentNumber] || null;
+    },
+  };
+};
+
+export const createIdentityProvider = (env = process.env) => {
+  switch (env.IDENTITY_PROVIDER || "none") {
+    case "none":
+      return null;
+    case "stub":
+      return createStubProvider(env.IDENTITY_FIXTURE_FILE ? { file: env.IDENTITY_FIXTURE_FILE } : {});
+    case "http":
+      return createHttpProvider({
+        urls: { ghanaCard: env.IDENTITY_NIA_URL, dvla: env.IDENTITY_DVLA_URL },
+        apiKey: env.IDENTITY_API_KEY,
+      });
+    default:
+      throw new Error(`Unknown IDENTITY_PROVIDER: ${env.IDENTITY_PROVIDER}`);
+  }
+};
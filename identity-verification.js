@@ -0,0 +1,99 @@
+// =========================
+// Identity Verification
+// =========================
+// Checks a courier's Ghana Card and licence against the registries (see
+// identity-providers.js) and compares the name and date of birth on record
+// with what the courier entered. The result is stored on the courier as
+// `identityVerification`:
+//   status    verified | mismatch | not_found | error | skipped (no provider configured)
+//   score     0-100, the lowest of the document scores
+//   documents [{ documentType, found, active, nameScore, dobMatch, score }]
+// Each document scores 70% name (shared words) and 30% date of birth, or name
+// alone for couriers without a date of birth. IDENTITY_MATCH_THRESHOLD
+// (default 80) is the lowest score that counts as verified.
+import { User } from "./models.js";
+import { REGISTRY_RECORDS } from "./identity-providers.js";
+import { logActivity } from "./activity-log.js";
+
+const DOCUMENT_FIELDS = { ghanaCard: "ghanaCardNumber", dvla: "dvlaNumber" };
+export const matchThreshold = () => Number(process.env.IDENTITY_MATCH_THRESHOLD) || 80;
+
+let provider = null;
+
+// Called once by app.js with createIdentityProvider(); null turns checks off
+export const setIdentityProvider = (value) => {
+  provider = value;
+};
+
+const nameWords = (name) =>
+  (name || "").normalize("NFD").replace(/[\u0300-\u036f]/g, "").toLowerCase().replace(/[^\p{L}\s]/gu, " ").split(/\s+/).filter(Boolean);
+
+const isInitialOf = (a, b) => (a.length === 1 && b.startsWith(a)) || (b.length === 1 && a.startsWith(b));
+
+// Dice coefficient over the words of both names, so order and letter case do not matter
+// and a missing middle name costs less than a different surname. An initial
+// ("S.") matches a word with the same first letter once the whole words are paired.
+export const nameScore = (entered, registered) => {
+  const a = [...new Set(nameWords(entered))];
+  const left = [...new Set(nameWords(registered))];
+  const total = a.length + left.length;
+  if (!a.length || !left.length) return 0;
+  let shared = 0;
+  const unmatched = [];
+  for (const word of a) {
+    const i = left.indexOf(word);
+    if (i === -1) unmatched.push(word);
+    else {
+      left.splice(i, 1);
+      shared += 1;
+    }
+  }
+  for (const word of unmatched) {
+    const i = left.findIndex((other) => isInitialOf(word, other));
+    if (i === -1) continue;
+    left.splice(i, 1);
+    shared += 1;
+  }
+  return (2 * shared) / total;
+};
+
+const checkDocument = async (user, documentType) => {
+  const record = await provider.lookup({ documentType, documentNumber: user[DOCUMENT_FIELDS[documentType]] });
+  if (!record) return { documentType, found: false, score: 0 };
+  const person = REGISTRY_RECORDS[documentType](record);
+  const name = nameScore(user.name, person.name);
+  const dob = user.dateOfBirth ? new Date(user.dateOfBirth).toISOString().slice(0, 10) : null;
+  const dobMatch = dob ? dob === person.dateOfBirth : undefined;
+  const score = Math.round(100 * (dob ? 0.7 * name + 0.3 * (dobMatch ? 1 : 0) : name));
+  return { documentType, found: true, active: person.active, nameScore: Math.round(100 * name), dobMatch, score };
+};
+
+// Runs the checks, stores the result on the courier and resolves to it; never throws
+export const verifyIdentity = async (user, { actor } = {}) => {
+  let result;
+  if (!provider) {
+    result = { status: "skipped", documents: [] };
+  } else {
+    try {
+      const types = Object.keys(DOCUMENT_FIELDS).filter((type) => user[DOCUMENT_FIELDS[type]]);
+      const documents = [];
+      for (const type of types) documents.push(await checkDocument(user, type));
+      const score = documents.length ? Math.min(...documents.map((d) => d.score)) : 0;
+      let status = "verified";
+      if (!documents.length || documents.some((d) => !d.found)) status = "not_found";
+      else if (score < matchThreshold() || documents.some((d) => !d.active)) status = "mismatch";
+      result = { status, score, documents };
+    } catch (err) {
+      console.error("Identity verification error:", err?.message || err);
+      result = { status: "error", documents: [] };
+    }
+  }
+  result = { ...result, provider: provider?.name, checkedAt: new Date() };
+  try {
+    await User.updateOne({ _id: user._id }, { identityVerification: result });
+  } catch (err) {
+    console.error("Identity verification save error:", err?.message || err);
+  }
+  logActivity(user.phone, "identity_checked", { courier: user._id, actor, status: result.status, score: result.score });
+  return result;
+};
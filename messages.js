@@ -0,0 +1,870 @@
+// =========================
+// Message Catalog
+// =========================
+// USSD, SMS and email text in every supported language.
+// English is the reference; the other languages were drafted for review by
+// native speakers. A key missing from a language falls back to English.
+// Placeholders look like {name} and are filled in by t().
+
+export const LANGUAGES = [
+  { code: "en", label: "English" },
+  { code: "tw", label: "Twi" },
+  { code: "ee", label: "Eʋegbe" },
+  { code: "gaa", label: "Ga" },
+  { code: "ha", label: "Hausa" },
+];
+export const LANGUAGE_CODES = LANGUAGES.map((l) => l.code);
+export const DEFAULT_LANGUAGE = "en";
+
+const en = {
+  "engine.invalidChoice": "Invalid choice.",
+  "engine.unavailable": "Service temporarily unavailable. Try later.",
+  "engine.more": "More",
+
+  "language.title": "Choose language / Paw kasa:",
+
+  "home.guest.title": "PCRS Couriers Compliance Service",
+  "home.member.title": "Hi {name}",
+  "menu.signUp": "Sign Up",
+  "menu.lookup": "Lookup Courier",
+  "menu.cancel": "Cancel",
+  "menu.continueRegistration": "Continue Registration",
+  "menu.viewDetails": "View My Details",
+  "menu.language": "Change Language",
+  "goodbye.guest": "Thank you for using PCRS Courier Compliance Service.",
+  "goodbye.member": "Session ended.",
+  "draft.expired": "Your saved registration has expired.",
+  "details.notFound": "Account not found.",
+  "details.unavailable": "Unable to fetch details at the moment.",
+
+  "signup.info": "To register, you'll need:\n\nLicense Number\nGhana Card (e.g., GHA-123456789-01)\n\nPress 1 to continue",
+  "signup.name": "Enter Full Name:",
+  "signup.name.invalid": "Invalid name. Enter Full Name:",
+  "signup.username": "Choose a Username:",
+  "signup.username.invalid": "Invalid username. Try again:",
+  "signup.username.taken": "Username taken. Enter a different Username:",
+  "signup.phone": "Enter Phone Number (e.g., 024XXXXXXX):",
+  "signup.phone.invalid": "Invalid phone. Enter Phone Number (e.g., 024XXXXXXX):",
+  "signup.phone.taken": "Phone already registered. Enter a different Phone Number:",
+  "signup.email": "Enter Email:",
+  "signup.email.invalid": "Invalid email. Enter Email:",
+  "signup.email.taken": "Email already in use. Enter a different Email:",
+  "signup.password": "Create Password:",
+  "signup.password.short": "Password too short (min 6). Create Password:",
+  "signup.confirm": "Confirm Password:",
+  "signup.confirm.mismatch": "Passwords do not match. Create Password:",
+  "signup.dvla": "Enter Driver's License Number:",
+  "signup.dvla.invalid": "Invalid Driver's License number. Enter Driver's License Number:",
+  "signup.dvla.taken": "License already registered. Enter a different Driver's License Number:",
+  "signup.ghanaCard": "Enter Ghana Card (e.g., GHA-123456789-01):",
+  "signup.ghanaCard.invalid": "Invalid format. Use GHA-XXXXXXXXX-XX:",
+  "signup.ghanaCard.taken": "Ghana Card already registered. Enter a different Ghana Card:",
+  "signup.failed": "Registration failed. Try again later.",
+  "signup.success": "Registration successful!\nAn SMS/Email will be sent to your phone/email shortly.\n\nPlease follow the link in the SMS/Email to upload your:\nDriver's License\nGhana Card",
+
+  "lookup.prompt": "Enter License or Ghana Card Number:",
+  "lookup.notFound": "Courier not found. 9.Back 0.Home",
+
+  "summary.name": "Name",
+  "summary.compliant": "Compliant",
+  "summary.phone": "Phone",
+  "summary.email": "Email",
+  "summary.license": "License",
+  "summary.ghanaCard": "Ghana Card",
+  "yes": "Yes",
+  "no": "No",
+
+  "document.dvla": "Driver's License",
+  "document.ghanaCard": "Ghana Card",
+  "status.pending": "received",
+  "status.approved": "approved",
+  "status.rejected": "rejected",
+  "status.expired": "marked as expired",
+
+  "sms.welcome": "Welcome {name}.\nTo complete your registration and compliance, please click on the link below and upload your documents (Driver's License and Ghana Card):\n\nhttps://ncstcs.vercel.app",
+  "sms.details": "Courier Details",
+  "sms.compliance": "Hi {name}, your {document} has been {status}.{note}\nCompliant: {compliance}",
+  "sms.note": "\nNote: {notes}",
+
+  "email.welcome.subject": "PCRS Registration Successful",
+  "email.welcome.title": "Complete Your PCRS Registration",
+  "email.hello": "Hello",
+  "email.welcome.created": "Your account has been successfully created!",
+  "email.welcome.upload": "To complete your registration, please log in to the PCRS portal and upload your compliance documents:",
+  "email.portal": "Go to PCRS Portal",
+  "email.instructions": "Instructions:",
+  "email.step1": "Log in with your username and password",
+  "email.step2": "Go to your <strong>Profile</strong> page",
+  "email.step3": "Upload your documents",
+  "email.step4": "Submit for verification",
+  "email.security": "For security, never share your password. We will never ask for it via email or phone.",
+  "email.compliance.subject": "PCRS Compliance Update",
+  "email.compliance.title": "PCRS Compliance Update",
+  "email.compliance.body": "Your <strong>{document}</strong> has been <strong>{status}</strong>.",
+  "email.compliance.notes": "Reviewer notes:",
+  "email.compliance.current": "Your current compliance status:",
+  "email.compliant": "Compliant",
+  "email.notCompliant": "Not compliant",
+
+  "pin.verify": "Hi {name}\nEnter your PIN:\n99. Forgot PIN",
+  "pin.wrong": "Wrong PIN. {left} attempt(s) left.\nEnter your PIN:\n99. Forgot PIN",
+  "pin.locked": "Too many wrong attempts. Try again in {minutes} min or reply 99 to reset your PIN.",
+  "pin.setup": "Hi {name}\nSecure your account with a PIN.\nEnter your account password:\n99. Forgot PIN",
+  "pin.setup.wrong": "Wrong password. {left} attempt(s) left.\nEnter your account password:\n99. Forgot PIN",
+  "pin.create": "Create a 4-digit PIN:",
+  "pin.create.invalid": "PIN must be 4 digits. Create a 4-digit PIN:",
+  "pin.confirm": "Confirm your PIN:",
+  "pin.confirm.mismatch": "PINs do not match. Create a 4-digit PIN:",
+  "pin.saved": "Your PIN has been saved.",
+  "otp.sent": "We sent a code by SMS to your phone.\nEnter the code:",
+  "otp.invalid": "Wrong code. {left} attempt(s) left.\nEnter the code:",
+  "otp.failed": "The code has expired or was entered wrongly too many times. Please dial again.",
+  "sms.otp": "Your PCRS code is {code}. It expires in {minutes} minutes. Never share it with anyone.",
+
+  "menu.forgotPassword": "Forgot Password",
+  "password.saved": "Your password has been changed. Use it to log in to the PCRS portal.",
+
+  "menu.updateDetails": "Update My Details",
+  "update.title": "Update My Details",
+  "update.saved": "Your details have been updated.",
+  "update.saved.document": "Your details have been updated. Upload your new document so your compliance status can be restored.",
+
+  "limit.rate": "Too many lookups. Try again in {minutes} min.",
+  "limit.blocked": "Too many unsuccessful lookups. Lookups are paused for {minutes} min.",
+  "limit.sms": "You have reached today's SMS limit. Try again tomorrow.",
+
+  "signup.dvlaExpiry": "Enter License expiry date (DD/MM/YYYY):",
+  "signup.dvlaExpiry.invalid": "Invalid date. Enter License expiry date (DD/MM/YYYY):",
+  "signup.dvlaExpiry.past": "That License has expired. Enter a valid expiry date (DD/MM/YYYY):",
+  "signup.ghanaCardExpiry": "Enter Ghana Card expiry date (DD/MM/YYYY):",
+  "signup.ghanaCardExpiry.invalid": "Invalid date. Enter Ghana Card expiry date (DD/MM/YYYY):",
+  "signup.ghanaCardExpiry.past": "That Ghana Card has expired. Enter a valid expiry date (DD/MM/YYYY):",
+  "sms.expiry": "Hi {name}, your {document} expires on {date} ({days} day(s) left). Renew it and upload the new document to stay compliant.",
+  "sms.expired": "Hi {name}, your {document} expired on {date}. You are not compliant until you upload a valid document.",
+  "email.expiry.subject": "PCRS Document Expiry Reminder",
+  "email.expiry.title": "PCRS Document Expiry",
+  "email.expired.subject": "PCRS Document Expired",
+
+  "signup.agency": "Enter your agency code.\n1. I don't ride for an agency",
+  "signup.agency.invalid": "Unknown agency code. Enter your agency code.\n1. I don't ride for an agency",
+  "menu.agency": "Agency",
+  "update.agency.saved": "You are now linked to {agency}.",
+  "update.agency.left": "You are no longer linked to an agency.",
+  "sms.agencyInvite": "{agency} invites you to register on PCRS as their courier. Dial the PCRS code, choose Sign Up and enter agency code {code} when asked.",
+  "sms.agencyInvite.member": "{agency} invites you to join them on PCRS. Dial the PCRS code, choose Update My Details > Agency and enter code {code}.",
+
+  "menu.myCode": "My Verification Code",
+  "menu.verifyCode": "Verify a Courier",
+  "code.title": "Verification Code",
+  "code.new": "Get a new code",
+  "code.revoke": "Cancel my code",
+  "code.issued": "Your code is {code}. Show it to your customer. It expires at {time}.",
+  "code.revoked": "Your verification code has been cancelled.",
+  "code.prompt": "Enter the courier's verification code:",
+  "code.invalid": "Code not valid or expired. 9.Back 0.Home",
+  "code.valid": "Code valid until {time}.",
+
+  "menu.report": "Report a Courier",
+  "report.courier": "Enter the courier's License or Ghana Card number:",
+  "report.category": "What happened?",
+  "report.category.misconduct": "Misconduct",
+  "report.category.lost_parcel": "Lost or damaged parcel",
+  "report.category.unregistered": "Unregistered rider",
+  "report.category.other": "Other",
+  "report.description": "Briefly describe what happened:",
+  "report.description.invalid": "Please describe what happened in up to {max} characters:",
+  "report.filed": "Thank you. Your report has been received. Reference: {reference}",
+  "sms.complaint": "PCRS: We have received your report about a courier. Your reference is {reference}. Quote it when you contact us.",
+
+  "signup.dob": "Enter your date of birth (DD/MM/YYYY):",
+  "signup.dob.invalid": "Invalid date. Enter your date of birth (DD/MM/YYYY):",
+  "signup.dob.age": "You must be at least {age} years old. Enter your date of birth (DD/MM/YYYY):",
+
+  "summary.suspended": "Suspended",
+  "account.suspended": "Your courier account is suspended. Please contact PCRS.",
+  "account.closed": "Your courier account has been closed. Please contact PCRS.",
+
+  "limit.complaint": "You have reached today's limit for reports. Try again tomorrow.",
+};
+
+const tw = {
+  "engine.invalidChoice": "Wo paw no nteɛ.",
+  "engine.unavailable": "Dwumadie no nni hɔ seesei. Sɔ bio akyiri yi.",
+  "engine.more": "Ɛkɔ so",
+
+  "home.guest.title": "PCRS Couriers Compliance Service",
+  "home.member.title": "Akwaaba {name}",
+  "menu.signUp": "Kyerɛw wo din",
+  "menu.lookup": "Hwehwɛ Courier",
+  "menu.cancel": "Gyae",
+  "menu.continueRegistration": "Toa din kyerɛw no so",
+  "menu.viewDetails": "Hwɛ me nsɛm",
+  "menu.language": "Sesa kasa",
+  "goodbye.guest": "Meda wo ase sɛ wode PCRS Courier Compliance Service di dwuma.",
+  "goodbye.member": "Yɛawie.",
+  "draft.expired": "Din kyerɛw a wofii ase no atwam.",
+  "details.notFound": "Yɛanhu wo akawnt no.",
+  "details.unavailable": "Yɛrentumi nnya wo nsɛm seesei.",
+
+  "signup.info": "Sɛ wobɛkyerɛw wo din a, wohia:\n\nLicense Nɔma\nGhana Card (sɛ GHA-123456789-01)\n\nMia 1 na toa so",
+  "signup.name": "Kyerɛw wo din nyinaa:",
+  "signup.name.invalid": "Din no nteɛ. Kyerɛw wo din nyinaa:",
+  "signup.username": "Paw username:",
+  "signup.username.invalid": "Username no nteɛ. Sɔ bio:",
+  "signup.username.taken": "Obi afa username yi dada. Kyerɛw foforo:",
+  "signup.phone": "Kyerɛw wo fon nɔma (sɛ 024XXXXXXX):",
+  "signup.phone.invalid": "Fon nɔma no nteɛ. Kyerɛw wo fon nɔma (sɛ 024XXXXXXX):",
+  "signup.phone.taken": "Wɔakyerɛw fon nɔma yi dada. Kyerɛw foforo:",
+  "signup.email": "Kyerɛw wo email:",
+  "signup.email.invalid": "Email no nteɛ. Kyerɛw wo email:",
+  "signup.email.taken": "Obi de email yi di dwuma dada. Kyerɛw foforo:",
+  "signup.password": "Yɛ password:",
+  "signup.password.short": "Password no sua dodo (6 anaa nea ɛboro saa). Yɛ password:",
+  "signup.confirm": "Kyerɛw password no bio:",
+  "signup.confirm.mismatch": "Password ahorow no nhyia. Yɛ password:",
+  "signup.dvla": "Kyerɛw wo Driver's License nɔma:",
+  "signup.dvla.invalid": "License nɔma no nteɛ. Kyerɛw wo Driver's License nɔma:",
+  "signup.dvla.taken": "Wɔakyerɛw License yi dada. Kyerɛw foforo:",
+  "signup.ghanaCard": "Kyerɛw wo Ghana Card (sɛ GHA-123456789-01):",
+  "signup.ghanaCard.invalid": "Ɛnteɛ. Fa GHA-XXXXXXXXX-XX:",
+  "signup.ghanaCard.taken": "Wɔakyerɛw Ghana Card yi dada. Kyerɛw foforo:",
+  "signup.failed": "Din kyerɛw no anyɛ yie. Sɔ bio akyiri yi.",
+  "signup.success": "Wo din kyerɛw no ayɛ yie!\nYɛbɛsoma SMS/Email akɔ wo fon/email so.\n\nDi link a ɛwɔ SMS/Email no mu akyi na fa wo:\nDriver's License\nGhana Card to so",
+
+  "lookup.prompt": "Kyerɛw License anaa Ghana Card nɔma:",
+  "lookup.notFound": "Yɛanhu courier no. 9.Sane 0.Fie",
+
+  "summary.name": "Din",
+  "summary.compliant": "Odi mmara so",
+  "summary.phone": "Fon",
+  "summary.email": "Email",
+  "summary.license": "License",
+  "summary.ghanaCard": "Ghana Card",
+  "yes": "Aane",
+  "no": "Daabi",
+  "document.dvla": "Kaa Lisense",
+  "document.ghanaCard": "Ghana Card",
+
+  "status.pending": "yɛanya",
+  "status.approved": "yɛapene so",
+  "status.rejected": "yɛapo",
+  "status.expired": "atwam",
+
+  "sms.welcome": "Akwaaba {name}.\nSɛ wobɛwie wo din kyerɛw a, mia link a ɛwɔ ase ha na fa wo nkrataa (Driver's License ne Ghana Card) to so:\n\nhttps://ncstcs.vercel.app",
+  "sms.details": "Courier Nsɛm",
+  "sms.compliance": "{name}, wo {document} no, {status}.{note}\nOdi mmara so: {compliance}",
+  "sms.note": "\nNsɛm: {notes}",
+  "email.welcome.subject": "PCRS Din Kyerɛw Awie Yie",
+  "email.welcome.title": "Wie Wo PCRS Din Kyerɛw",
+
+  "email.hello": "Akwaaba",
+  "email.welcome.created": "Yɛabue wo akawnt no yie!",
+  "email.welcome.upload": "Sɛ wobɛwie wo din kyerɛw a, kɔ PCRS portal no so na fa wo nkrataa to so:",
+  "email.portal": "Kɔ PCRS Portal",
+  "email.instructions": "Akwankyerɛ:",
+  "email.step1": "Fa wo username ne wo password kɔ mu",
+  "email.step2": "Kɔ wo <strong>Profile</strong> krataafa no so",
+  "email.step3": "Fa wo nkrataa to so",
+  "email.step4": "Fa kɔ ma wɔnhwɛ mu",
+  "email.security": "Mfa wo password nkyerɛ obiara. Yɛremmisa wo wɔ email anaa fon so da.",
+  "email.compliance.subject": "PCRS Mmara Di Ho Nsɛm Foforɔ",
+  "email.compliance.title": "PCRS Mmara Di Ho Nsɛm Foforɔ",
+  "email.compliance.body": "Wo <strong>{document}</strong> no, <strong>{status}</strong>.",
+  "email.compliance.notes": "Nea ɔhwɛɛ mu no ka sɛ:",
+  "email.compliance.current": "Sɛnea wudi mmara so seesei:",
+  "email.compliant": "Odi mmara so",
+  "email.notCompliant": "Onni mmara so",
+
+  "pin.verify": "Akwaaba {name}\nKyerɛw wo PIN:\n99. Me werɛ afi PIN",
+  "pin.wrong": "PIN no nteɛ. Aka {left}.\nKyerɛw wo PIN:\n99. Me werɛ afi PIN",
+  "pin.locked": "Woasɔ mpɛn pii dodo. Sɔ bio wɔ simma {minutes} mu anaa mia 99 na sesa wo PIN.",
+  "pin.setup": "Akwaaba {name}\nFa PIN bɔ wo akawnt ho ban.\nKyerɛw wo password:\n99. Me werɛ afi PIN",
+  "pin.setup.wrong": "Password no nteɛ. Aka {left}.\nKyerɛw wo password:\n99. Me werɛ afi PIN",
+  "pin.create": "Yɛ PIN a ɛwɔ nɔma 4:",
+  "pin.create.invalid": "PIN no nni nɔma 4. Yɛ PIN a ɛwɔ nɔma 4:",
+  "pin.confirm": "Kyerɛw PIN no bio:",
+  "pin.confirm.mismatch": "PIN ahorow no nhyia. Yɛ PIN a ɛwɔ nɔma 4:",
+  "pin.saved": "Yɛakora wo PIN no.",
+  "otp.sent": "Yɛde code asoma wo fon so wɔ SMS mu.\nKyerɛw code no:",
+  "otp.invalid": "Code no nteɛ. Aka {left}.\nKyerɛw code no:",
+  "otp.failed": "Code no atwam anaa woasɔ mpɛn pii dodo. Frɛ bio.",
+  "sms.otp": "Wo PCRS code ne {code}. Ɛbɛtwam wɔ simma {minutes} mu. Mfa nkyerɛ obiara.",
+
+  "menu.forgotPassword": "Me werɛ afi password",
+  "password.saved": "Yɛasesa wo password. Fa di dwuma kɔ PCRS portal no so.",
+
+  "menu.updateDetails": "Sesa me nsɛm",
+  "update.title": "Sesa me nsɛm",
+  "update.saved": "Yɛasesa wo nsɛm.",
+  "update.saved.document": "Yɛasesa wo nsɛm. Fa wo krataa foforo no to so na yɛasan ama wo compliance.",
+
+  "limit.rate": "Woahwehwɛ pii dodo. Sɔ bio wɔ simma {minutes} mu.",
+  "limit.blocked": "Woahwehwɛ pii a woanhu. Yɛagyina hwehwɛ so simma {minutes}.",
+  "limit.sms": "Woadu SMS dodow a wobɛnya nnɛ ano. Sɔ bio ɔkyena.",
+
+  "signup.dvlaExpiry": "Kyerɛw da a License no bɛtwam (DD/MM/YYYY):",
+  "signup.dvlaExpiry.invalid": "Da no nteɛ. Kyerɛw da a License no bɛtwam (DD/MM/YYYY):",
+  "signup.dvlaExpiry.past": "License no atwam dada. Kyerɛw da a ɛteɛ (DD/MM/YYYY):",
+  "signup.ghanaCardExpiry": "Kyerɛw da a Ghana Card no bɛtwam (DD/MM/YYYY):",
+  "signup.ghanaCardExpiry.invalid": "Da no nteɛ. Kyerɛw da a Ghana Card no bɛtwam (DD/MM/YYYY):",
+  "signup.ghanaCardExpiry.past": "Ghana Card no atwam dada. Kyerɛw da a ɛteɛ (DD/MM/YYYY):",
+  "sms.expiry": "Akwaaba {name}, wo {document} bɛtwam {date} (nna {days} na aka). Yɛ foforo na fa to so na wo compliance ankɔ.",
+  "sms.expired": "Akwaaba {name}, wo {document} twaam {date}. Wonni compliance kosi sɛ wode krataa a ɛteɛ bɛba.",
+  "email.expiry.subject": "PCRS Krataa Twam Nkaebɔ",
+  "email.expiry.title": "PCRS Krataa Twam",
+  "email.expired.subject": "PCRS Krataa Atwam",
+
+  "signup.agency": "Kyerɛw wo agency code.\n1. Menni agency biara",
+  "signup.agency.invalid": "Yɛnnim agency code no. Kyerɛw wo agency code.\n1. Menni agency biara",
+  "menu.agency": "Agency",
+  "update.agency.saved": "Afei wo ne {agency} abom.",
+  "update.agency.left": "Wo ne agency biara nni hɔ bio.",
+  "sms.agencyInvite": "{agency} to nsa frɛ wo sɛ kyerɛw wo din wɔ PCRS so sɛ wɔn courier. Frɛ PCRS code no, paw Kyerɛw wo din na kyerɛw agency code {code}.",
+  "sms.agencyInvite.member": "{agency} to nsa frɛ wo sɛ bɛka wɔn ho wɔ PCRS so. Frɛ PCRS code no, paw Sesa me nsɛm > Agency na kyerɛw code {code}.",
+
+  "menu.myCode": "Me Verification Code",
+  "menu.verifyCode": "Hwɛ courier bi",
+  "code.title": "Verification Code",
+  "code.new": "Gye code foforɔ",
+  "code.revoke": "Twa me code mu",
+  "code.issued": "Wo code ne {code}. Kyerɛ wo customer. Ɛbɛba awieeɛ {time}.",
+  "code.revoked": "Yɛatwa wo verification code no mu.",
+  "code.prompt": "Kyerɛw courier no verification code:",
+  "code.invalid": "Code no nyɛ papa anaa abɔ berɛ. 9.Sane 0.Fie",
+  "code.valid": "Code no yɛ adwuma kosi {time}.",
+
+  "menu.report": "Bɔ courier bi ho amaneɛ",
+  "report.courier": "Kyerɛw courier no License anaa Ghana Card nɔma:",
+  "report.category": "Dɛn na ɛsii?",
+  "report.category.misconduct": "Suban bɔne",
+  "report.category.lost_parcel": "Adeɛ a ayera anaa asɛe",
+  "report.category.unregistered": "Rider a wanhyɛ din",
+  "report.category.other": "Foforɔ",
+  "report.description": "Ka deɛ ɛsiiɛ no tiawa:",
+  "report.description.invalid": "Yɛsrɛ wo, ka deɛ ɛsiiɛ no wɔ nkyerɛwdeɛ {max} mu:",
+  "report.filed": "Yɛda wo ase. Yɛanya wo amaneɛbɔ no. Reference: {reference}",
+  "sms.complaint": "PCRS: Yɛanya wo amaneɛbɔ a ɛfa courier bi ho. Wo reference ne {reference}. Ka bere a wobɛfrɛ yɛn.",
+
+  "signup.dob": "Kyerɛw da a wɔwoo wo (DD/MM/YYYY):",
+  "signup.dob.invalid": "Da no nteɛ. Kyerɛw da a wɔwoo wo (DD/MM/YYYY):",
+  "signup.dob.age": "Ɛsɛ sɛ wodi mfeɛ {age} anaa nea ɛboro saa. Kyerɛw da a wɔwoo wo (DD/MM/YYYY):",
+
+  "summary.suspended": "Wɔatwa no so",
+  "account.suspended": "Wɔatwa wo courier akawnt no so. Yɛsrɛ wo, frɛ PCRS.",
+  "account.closed": "Wɔato wo courier akawnt no mu. Yɛsrɛ wo, frɛ PCRS.",
+
+  "limit.complaint": "Woadu amaneɛbɔ dodow a wobɛtumi ayɛ nnɛ ano. Sɔ bio ɔkyena.",
+};
+
+const ee = {
+  "engine.invalidChoice": "Esi nètia la mesɔ o.",
+  "engine.unavailable": "Dɔwɔna la meli fifia o. Gagbugbɔ te kpɔ emegbe.",
+  "engine.more": "Bubuwo",
+
+  "home.member.title": "Woezɔ {name}",
+  "menu.signUp": "Ŋlɔ ŋkɔ",
+  "menu.lookup": "Di Courier",
+  "menu.cancel": "Dzudzɔ",
+  "menu.continueRegistration": "Yi ŋkɔŋɔŋlɔ dzi",
+  "menu.viewDetails": "Kpɔ nye nyatakakawo",
+  "menu.language": "Trɔ gbe",
+  "goodbye.guest": "Akpe na wò be èzã PCRS Courier Compliance Service.",
+  "goodbye.member": "Ewu enu.",
+  "draft.expired": "Ŋkɔŋɔŋlɔ si nèdze egɔme la ƒe ɣeyiɣi va yi.",
+  "details.notFound": "Womekpɔ wò akɔnta o.",
+  "details.unavailable": "Míate ŋu akpɔ wò nyatakakawo fifia o.",
+
+  "signup.info": "Be nàŋlɔ ŋkɔ la, èhiã:\n\nLicense Xexlẽdzesi\nGhana Card (abe GHA-123456789-01)\n\nZi 1 nàyi edzi",
+  "signup.name": "Ŋlɔ wò ŋkɔ blibo:",
+  "signup.name.invalid": "Ŋkɔ la mesɔ o. Ŋlɔ wò ŋkɔ blibo:",
+  "signup.username": "Tia username:",
+  "signup.username.invalid": "Username la mesɔ o. Gadzi kpɔ:",
+  "signup.username.taken": "Ame aɖe xɔ username sia xoxo. Ŋlɔ bubu:",
+  "signup.phone": "Ŋlɔ wò fon xexlẽdzesi (abe 024XXXXXXX):",
+  "signup.phone.invalid": "Fon xexlẽdzesi la mesɔ o. Ŋlɔ wò fon xexlẽdzesi (abe 024XXXXXXX):",
+  "signup.phone.taken": "Woŋlɔ fon xexlẽdzesi sia xoxo. Ŋlɔ bubu:",
+  "signup.email": "Ŋlɔ wò email:",
+  "signup.email.invalid": "Email la mesɔ o. Ŋlɔ wò email:",
+  "signup.email.taken": "Ame aɖe le email sia zãm xoxo. Ŋlɔ bubu:",
+  "signup.password": "Wɔ password:",
+  "signup.password.short": "Password la sue akpa (6 ya teti). Wɔ password:",
+  "signup.confirm": "Gaŋlɔ password la:",
+  "signup.confirm.mismatch": "Password eveawo mesɔ o. Wɔ password:",
+  "signup.dvla": "Ŋlɔ wò Driver's License xexlẽdzesi:",
+  "signup.dvla.invalid": "License xexlẽdzesi la mesɔ o. Ŋlɔ wò Driver's License xexlẽdzesi:",
+  "signup.dvla.taken": "Woŋlɔ License sia xoxo. Ŋlɔ bubu:",
+  "signup.ghanaCard": "Ŋlɔ wò Ghana Card (abe GHA-123456789-01):",
+  "signup.ghanaCard.invalid": "Mesɔ o. Zã GHA-XXXXXXXXX-XX:",
+  "signup.ghanaCard.taken": "Woŋlɔ Ghana Card sia xoxo. Ŋlɔ bubu:",
+  "signup.failed": "Ŋkɔŋɔŋlɔ la mede edzi o. Gagbugbɔ te kpɔ emegbe.",
+  "signup.success": "Ŋkɔŋɔŋlɔ la de edzi!\nMiaɖo SMS/Email ɖe wò fon/email dzi kpuie.\n\nZã link si le SMS/Email la me nàtsɔ wò:\nDriver's License\nGhana Card ade edzi",
+
+  "lookup.prompt": "Ŋlɔ License alo Ghana Card xexlẽdzesi:",
+  "lookup.notFound": "Womekpɔ courier la o. 9.Trɔ 0.Aƒeme",
+
+  "summary.name": "Ŋkɔ",
+  "summary.compliant": "Ewɔ ɖe sewo dzi",
+  "summary.phone": "Fon",
+  "summary.email": "Email",
+  "summary.license": "License",
+  "summary.ghanaCard": "Ghana Card",
+  "yes": "Ɛ̃",
+  "no": "Ao",
+  "document.dvla": "Ʋukuku Lisense",
+  "document.ghanaCard": "Ghana Card",
+
+  "status.pending": "míexɔe",
+  "status.approved": "míeda asi ɖe edzi",
+  "status.rejected": "míegbee",
+  "status.expired": "eƒe ɣeyiɣi va yi",
+
+  "sms.welcome": "Woezɔ {name}.\nBe nàwu wò ŋkɔŋɔŋlɔ nu la, zi link si le ete na nàtsɔ wò agbalẽwo (Driver's License kple Ghana Card) ade edzi:\n\nhttps://ncstcs.vercel.app",
+  "sms.details": "Courier ƒe Nyatakakawo",
+  "sms.compliance": "{name}, wò {document}: {status}.{note}\nEwɔ ɖe sewo dzi: {compliance}",
+  "sms.note": "\nNyatakaka: {notes}",
+  "email.welcome.subject": "PCRS Ŋkɔŋlɔŋlɔ Dze Edzi",
+  "email.welcome.title": "Wu Wò PCRS Ŋkɔŋlɔŋlɔ Nu",
+
+  "email.hello": "Woezɔ",
+  "email.welcome.created": "Míeʋu wò akɔnta nyuie!",
+  "email.welcome.upload": "Be nàwu wò ŋkɔŋlɔŋlɔ nu la, ge ɖe PCRS portal dzi eye nàtsɔ wò agbalẽwo ade eme:",
+  "email.portal": "Yi PCRS Portal",
+  "email.instructions": "Mɔfiame:",
+  "email.step1": "Ge ɖe eme kple wò username kple password",
+  "email.step2": "Yi wò <strong>Profile</strong> axa dzi",
+  "email.step3": "Tsɔ wò agbalẽwo de eme",
+  "email.step4": "Ɖoe ɖa be woakpɔe ɖa",
+  "email.security": "Le dedienɔnɔ ta la, mègaɖe wò password fia ame aɖeke o. Míabiae le email alo fon dzi gbeɖe o.",
+  "email.compliance.subject": "PCRS Sewɔwɔ ƒe Nyatakaka Yeye",
+  "email.compliance.title": "PCRS Sewɔwɔ ƒe Nyatakaka Yeye",
+  "email.compliance.body": "Wò <strong>{document}</strong>: <strong>{status}</strong>.",
+  "email.compliance.notes": "Nukpɔla ƒe nyawo:",
+  "email.compliance.current": "Alesi nèwɔ ɖe sewo dzi fifia:",
+  "email.compliant": "Ewɔ ɖe sewo dzi",
+  "email.notCompliant": "Mewɔ ɖe sewo dzi o",
+
+  "pin.verify": "Woezɔ {name}\nŊlɔ wò PIN:\n99. PIN ŋlɔ be",
+  "pin.wrong": "PIN la mesɔ o. Susɔ {left}.\nŊlɔ wò PIN:\n99. PIN ŋlɔ be",
+  "pin.locked": "Ète kpɔ zi geɖe akpa. Gate kpɔ le aɖabaƒoƒo {minutes} me alo ŋlɔ 99 nàtrɔ wò PIN.",
+  "pin.setup": "Woezɔ {name}\nTsɔ PIN ta wò akɔnta.\nŊlɔ wò password:\n99. PIN ŋlɔ be",
+  "pin.setup.wrong": "Password la mesɔ o. Susɔ {left}.\nŊlɔ wò password:\n99. PIN ŋlɔ be",
+  "pin.create": "Wɔ PIN si me xexlẽdzesi 4 le:",
+  "pin.create.invalid": "Xexlẽdzesi 4 nanɔ PIN la me. Wɔ PIN si me xexlẽdzesi 4 le:",
+  "pin.confirm": "Gaŋlɔ wò PIN:",
+  "pin.confirm.mismatch": "PIN eveawo mesɔ o. Wɔ PIN si me xexlẽdzesi 4 le:",
+  "pin.saved": "Míedzra wò PIN ɖo.",
+  "otp.sent": "Míeɖo code ɖe wò fon dzi le SMS me.\nŊlɔ code la:",
+  "otp.invalid": "Code la mesɔ o. Susɔ {left}.\nŊlɔ code la:",
+  "otp.failed": "Code la ƒe ɣeyiɣi va yi alo ète kpɔ zi geɖe akpa. Gayɔ.",
+  "sms.otp": "Wò PCRS code enye {code}. Eƒe ɣeyiɣi ayi le aɖabaƒoƒo {minutes} me. Megaɖe fia ame aɖeke o.",
+
+  "menu.forgotPassword": "Password ŋlɔ be",
+  "password.saved": "Míetrɔ wò password. Zãe nàge ɖe PCRS portal la me.",
+
+  "menu.updateDetails": "Trɔ nye nyatakakawo",
+  "update.title": "Trɔ nye nyatakakawo",
+  "update.saved": "Míetrɔ wò nyatakakawo.",
+  "update.saved.document": "Míetrɔ wò nyatakakawo. Tsɔ wò agbalẽ yeye la ɖo ɖa be míagbugbɔ wò compliance aɖo te.",
+
+  "limit.rate": "Èdi nu zi geɖe akpa. Gate kpɔ le aɖabaƒoƒo {minutes} me.",
+  "limit.blocked": "Èdi nu zi geɖe gake mèkpɔe o. Míetɔ te didi aɖabaƒoƒo {minutes}.",
+  "limit.sms": "Èɖo egbe ƒe SMS xexlẽme nuwuwu. Gate kpɔ etsɔ.",
+
+  "signup.dvlaExpiry": "Ŋlɔ ŋkeke si License la ƒe ɣeyiɣi ayi (DD/MM/YYYY):",
+  "signup.dvlaExpiry.invalid": "Ŋkeke la mesɔ o. Ŋlɔ ŋkeke si License la ƒe ɣeyiɣi ayi (DD/MM/YYYY):",
+  "signup.dvlaExpiry.past": "License la ƒe ɣeyiɣi va yi xoxo. Ŋlɔ ŋkeke si sɔ (DD/MM/YYYY):",
+  "signup.ghanaCardExpiry": "Ŋlɔ ŋkeke si Ghana Card la ƒe ɣeyiɣi ayi (DD/MM/YYYY):",
+  "signup.ghanaCardExpiry.invalid": "Ŋkeke la mesɔ o. Ŋlɔ ŋkeke si Ghana Card la ƒe ɣeyiɣi ayi (DD/MM/YYYY):",
+  "signup.ghanaCardExpiry.past": "Ghana Card la ƒe ɣeyiɣi va yi xoxo. Ŋlɔ ŋkeke si sɔ (DD/MM/YYYY):",
+  "sms.expiry": "Woezɔ {name}, wò {document} ƒe ɣeyiɣi ayi le {date} (ŋkeke {days} susɔ). Wɔe yeye eye nàtsɔ agbalẽ yeye la ɖo ɖa.",
+  "sms.expired": "Woezɔ {name}, wò {document} ƒe ɣeyiɣi va yi le {date}. Mèle compliance me o va se ɖe esime nàtsɔ agbalẽ si sɔ ɖo ɖa.",
+  "email.expiry.subject": "PCRS Agbalẽ ƒe Ɣeyiɣi Nuxlɔ̃ame",
+  "email.expiry.title": "PCRS Agbalẽ ƒe Ɣeyiɣi",
+  "email.expired.subject": "PCRS Agbalẽ ƒe Ɣeyiɣi Va Yi",
+
+  "signup.agency": "Ŋlɔ wò agency code.\n1. Nyemele agency aɖeke me o",
+  "signup.agency.invalid": "Míenya agency code sia o. Ŋlɔ wò agency code.\n1. Nyemele agency aɖeke me o",
+  "menu.agency": "Agency",
+  "update.agency.saved": "Èkpe ɖe {agency} ŋu azɔ.",
+  "update.agency.left": "Mègale agency aɖeke me o.",
+  "sms.agencyInvite": "{agency} le yɔwò be nàŋlɔ ŋkɔ ɖe PCRS dzi abe woƒe courier ene. Yɔ PCRS code la, tia Ŋlɔ ŋkɔ eye nàŋlɔ agency code {code}.",
+  "sms.agencyInvite.member": "{agency} le yɔwò be nàde wo gbɔ le PCRS dzi. Yɔ PCRS code la, tia Trɔ nye nyatakakawo > Agency eye nàŋlɔ code {code}.",
+
+  "menu.myCode": "Nye Verification Code",
+  "menu.verifyCode": "Kpɔ courier aɖe",
+  "code.title": "Verification Code",
+  "code.new": "Xɔ code yeye",
+  "code.revoke": "Tutu nye code",
+  "code.issued": "Wò code enye {code}. Fiae wò customer. Ewu nu le {time}.",
+  "code.revoked": "Míetutu wò verification code.",
+  "code.prompt": "Ŋlɔ courier la ƒe verification code:",
+  "code.invalid": "Code la mesɔ o alo ɣeyiɣi va yi. 9.Trɔ 0.Aƒeme",
+  "code.valid": "Code la wɔa dɔ va se ɖe {time}.",
+
+  "menu.report": "Ka nya ɖe courier aɖe ŋu",
+  "report.courier": "Ŋlɔ courier la ƒe License alo Ghana Card xexlẽdzesi:",
+  "report.category": "Nu ka dzɔ?",
+  "report.category.misconduct": "Nɔnɔme gbegblẽ",
+  "report.category.lost_parcel": "Agba si bu alo gblẽ",
+  "report.category.unregistered": "Rider si meŋlɔ ŋkɔ o",
+  "report.category.other": "Bubu",
+  "report.description": "Gblɔ nu si dzɔ kpuie:",
+  "report.description.invalid": "Taflatse, gblɔ nu si dzɔ le nuŋlɔdzesi {max} me:",
+  "report.filed": "Akpe. Míexɔ wò nyatakaka. Reference: {reference}",
+  "sms.complaint": "PCRS: Míexɔ wò nyatakaka tso courier aɖe ŋu. Wò reference enye {reference}. Yɔe ne èle mía yɔm.",
+
+  "signup.dob": "Ŋlɔ wò dzigbezã (DD/MM/YYYY):",
+  "signup.dob.invalid": "Ŋkeke la mesɔ o. Ŋlɔ wò dzigbezã (DD/MM/YYYY):",
+  "signup.dob.age": "Ele be nàxɔ ƒe {age} yi edzi. Ŋlɔ wò dzigbezã (DD/MM/YYYY):",
+
+  "summary.suspended": "Wotsɔe ɖe vovo",
+  "account.suspended": "Wotsɔ wò courier akɔnt ɖe vovo. Taflatse, ka nya na PCRS.",
+  "account.closed": "Wotu wò courier akɔnt. Taflatse, ka nya na PCRS.",
+
+  "limit.complaint": "Èɖo egbe ƒe nyatakaka xexlẽme nuwuwu. Gate kpɔ etsɔ.",
+};
+
+const gaa = {
+  "engine.invalidChoice": "Nɔ ni ohala lɛ ja.",
+  "engine.unavailable": "Nitsumɔ lɛ bɛ ŋmɛnɛ. Ka ekoŋŋ yɛ sɛɛ.",
+  "engine.more": "Ekrokomɛi",
+
+  "home.member.title": "Ojekoo {name}",
+  "menu.signUp": "Ŋma ogbɛi",
+  "menu.lookup": "Taomɔ Courier",
+  "menu.cancel": "Kpa",
+  "menu.continueRegistration": "Ya nɔ kɛ ogbɛi ŋmaa",
+  "menu.viewDetails": "Kwɛmɔ minii",
+  "menu.language": "Tsake wiemɔ",
+  "goodbye.guest": "Oyiwaladɔŋŋ akɛ okɛ PCRS Courier Compliance Service tsu nii.",
+  "goodbye.member": "Egbe naa.",
+  "draft.expired": "Ogbɛi ŋmaa ni ojeɔ shishi lɛ be eho.",
+  "details.notFound": "Wɔnaaa o-akawnt lɛ.",
+  "details.unavailable": "Wɔnyɛŋ wɔna onii ŋmɛnɛ.",
+
+  "signup.info": "Koni oŋma ogbɛi lɛ, ohiaa:\n\nLicense Nɔmba\nGhana Card (tamɔ GHA-123456789-01)\n\nMia 1 koni oya nɔ",
+  "signup.name": "Ŋma ogbɛi muu:",
+  "signup.name.invalid": "Gbɛi lɛ ja. Ŋma ogbɛi muu:",
+  "signup.username": "Hala username:",
+  "signup.username.invalid": "Username lɛ ja. Ka ekoŋŋ:",
+  "signup.username.taken": "Mɔ ko ekɛ username nɛɛ. Ŋma ekroko:",
+  "signup.phone": "Ŋma o-fon nɔmba (tamɔ 024XXXXXXX):",
+  "signup.phone.invalid": "Fon nɔmba lɛ ja. Ŋma o-fon nɔmba (tamɔ 024XXXXXXX):",
+  "signup.phone.taken": "Aŋma fon nɔmba nɛɛ momo. Ŋma ekroko:",
+  "signup.email": "Ŋma o-email:",
+  "signup.email.invalid": "Email lɛ ja. Ŋma o-email:",
+  "signup.email.taken": "Mɔ ko kɛ email nɛɛ tsuɔ nii momo. Ŋma ekroko:",
+  "signup.password": "Fee password:",
+  "signup.password.short": "Password lɛ fiti tsɔ (6 lɛ fe). Fee password:",
+  "signup.confirm": "Ŋma password lɛ ekoŋŋ:",
+  "signup.confirm.mismatch": "Password enyɔ lɛ kɛ amɛhe kpaaa. Fee password:",
+  "signup.dvla": "Ŋma o-Driver's License nɔmba:",
+  "signup.dvla.invalid": "License nɔmba lɛ ja. Ŋma o-Driver's License nɔmba:",
+  "signup.dvla.taken": "Aŋma License nɛɛ momo. Ŋma ekroko:",
+  "signup.ghanaCard": "Ŋma o-Ghana Card (tamɔ GHA-123456789-01):",
+  "signup.ghanaCard.invalid": "Eja. Kɛ GHA-XXXXXXXXX-XX tsu nii:",
+  "signup.ghanaCard.taken": "Aŋma Ghana Card nɛɛ momo. Ŋma ekroko:",
+  "signup.failed": "Ogbɛi ŋmaa lɛ nyɛɛɛ. Ka ekoŋŋ yɛ sɛɛ.",
+  "signup.success": "Ogbɛi ŋmaa lɛ ye omanye!\nWɔbaatsu SMS/Email kɛya o-fon/email nɔ.\n\nKɛ link ni yɔɔ SMS/Email lɛ mli lɛ kɛ o-:\nDriver's License\nGhana Card wo nɔ",
+
+  "lookup.prompt": "Ŋma License loo Ghana Card nɔmba:",
+  "lookup.notFound": "Wɔnaaa courier lɛ. 9.Kuku 0.Shia",
+
+  "summary.name": "Gbɛi",
+  "summary.compliant": "Ekɛ mlai yeɔ",
+  "summary.phone": "Fon",
+  "summary.email": "Email",
+  "summary.license": "License",
+  "summary.ghanaCard": "Ghana Card",
+  "yes": "Hɛɛ",
+  "no": "Dabi",
+  "document.dvla": "Lɔle Kudɔmɔ License",
+  "document.ghanaCard": "Ghana Card",
+
+  "status.pending": "wɔna",
+  "status.approved": "wɔkpɛlɛ nɔ",
+  "status.rejected": "wɔkpoo",
+  "status.expired": "ebe eho",
+
+  "sms.welcome": "Ojekoo {name}.\nKoni ogbe o-gbɛi ŋmaa naa lɛ, mia link ni yɔɔ shishi lɛ ni okɛ o-wolo (Driver's License kɛ Ghana Card) awo nɔ:\n\nhttps://ncstcs.vercel.app",
+  "sms.details": "Courier Nii",
+  "sms.compliance": "{name}, o-{document}: {status}.{note}\nEkɛ mlai yeɔ: {compliance}",
+  "sms.note": "\nSane: {notes}",
+  "email.welcome.subject": "PCRS Gbɛi Ŋmaa Eye Omanye",
+  "email.welcome.title": "Gbe O-PCRS Gbɛi Ŋmaa Naa",
+
+  "email.hello": "Ojekoo",
+  "email.welcome.created": "Wɔbɛi o-akawnt lɛ jogbaŋŋ!",
+  "email.welcome.upload": "Koni ogbe o-gbɛi ŋmaa naa lɛ, bote PCRS portal lɛ mli ni okɛ o-woji lɛ awo mli:",
+  "email.portal": "Yaa PCRS Portal",
+  "email.instructions": "Gbɛtsɔɔmɔi:",
+  "email.step1": "Bote mli kɛ o-username kɛ o-password",
+  "email.step2": "Yaa o-<strong>Profile</strong> baafa lɛ nɔ",
+  "email.step3": "Kɛ o-woji lɛ awo mli",
+  "email.step4": "Kɛmɔ koni amɛkwɛ mli",
+  "email.security": "Kaakɛ o-password atsɔɔ mɔ ko. Wɔbiŋ bo yɛ email loo fon nɔ dɔŋŋ.",
+  "email.compliance.subject": "PCRS Mlai Yeli He Sane Hee",
+  "email.compliance.title": "PCRS Mlai Yeli He Sane Hee",
+  "email.compliance.body": "O-<strong>{document}</strong>: <strong>{status}</strong>.",
+  "email.compliance.notes": "Mɔ ni kwɛ mli lɛ wiemɔ:",
+  "email.compliance.current": "Bɔ ni okɛ mlai yeɔ amrɔ nɛɛ:",
+  "email.compliant": "Ekɛ mlai yeɔ",
+  "email.notCompliant": "Ekɛ mlai yeee",
+
+  "pin.verify": "Ojekoo {name}\nŊma o-PIN:\n99. PIN ejɛ ojwɛŋmɔ mli",
+  "pin.wrong": "PIN lɛ ja. Eshwɛ {left}.\nŊma o-PIN:\n99. PIN ejɛ ojwɛŋmɔ mli",
+  "pin.locked": "Oka shii pii tsɔ. Ka ekoŋŋ yɛ minit {minutes} sɛɛ loo ŋma 99 koni otsake o-PIN.",
+  "pin.setup": "Ojekoo {name}\nKɛ PIN ba o-akawnt he.\nŊma o-password:\n99. PIN ejɛ ojwɛŋmɔ mli",
+  "pin.setup.wrong": "Password lɛ ja. Eshwɛ {left}.\nŊma o-password:\n99. PIN ejɛ ojwɛŋmɔ mli",
+  "pin.create": "Fee PIN ni nɔmba 4 yɔɔ mli:",
+  "pin.create.invalid": "Esa akɛ nɔmba 4 yɔɔ PIN lɛ mli. Fee PIN ni nɔmba 4 yɔɔ mli:",
+  "pin.confirm": "Ŋma o-PIN ekoŋŋ:",
+  "pin.confirm.mismatch": "PIN enyɔ lɛ kɛ amɛhe kpaaa. Fee PIN ni nɔmba 4 yɔɔ mli:",
+  "pin.saved": "Wɔto o-PIN lɛ.",
+  "otp.sent": "Wɔtsu code kɛya o-fon nɔ yɛ SMS mli.\nŊma code lɛ:",
+  "otp.invalid": "Code lɛ ja. Eshwɛ {left}.\nŊma code lɛ:",
+  "otp.failed": "Code lɛ be eho loo oka shii pii tsɔ. Frɛ ekoŋŋ.",
+  "sms.otp": "O-PCRS code ji {code}. Ebe baaho yɛ minit {minutes} sɛɛ. Kaatsɔɔ mɔ ko.",
+
+  "menu.forgotPassword": "Password ejɛ ojwɛŋmɔ mli",
+  "password.saved": "Wɔtsake o-password. Kɛ ye nii kɛbote PCRS portal lɛ mli.",
+
+  "menu.updateDetails": "Tsake mi-saji",
+  "update.title": "Tsake mi-saji",
+  "update.saved": "Wɔtsake o-saji lɛ.",
+  "update.saved.document": "Wɔtsake o-saji lɛ. Kɛ o-wolo hee lɛ ba koni wɔsaa o-compliance lɛ.",
+
+  "limit.rate": "Otao nii shii pii tsɔ. Ka ekoŋŋ yɛ minit {minutes} sɛɛ.",
+  "limit.blocked": "Otao nii shii pii ni onaaa. Wɔtsi taomɔ naa minit {minutes}.",
+  "limit.sms": "Oshɛ ŋmɛnɛ SMS naagbee. Ka ekoŋŋ wɔ.",
+
+  "signup.dvlaExpiry": "Ŋma gbi ni License lɛ be baaho (DD/MM/YYYY):",
+  "signup.dvlaExpiry.invalid": "Gbi lɛ ja. Ŋma gbi ni License lɛ be baaho (DD/MM/YYYY):",
+  "signup.dvlaExpiry.past": "License lɛ be eho momo. Ŋma gbi ni ja (DD/MM/YYYY):",
+  "signup.ghanaCardExpiry": "Ŋma gbi ni Ghana Card lɛ be baaho (DD/MM/YYYY):",
+  "signup.ghanaCardExpiry.invalid": "Gbi lɛ ja. Ŋma gbi ni Ghana Card lɛ be baaho (DD/MM/YYYY):",
+  "signup.ghanaCardExpiry.past": "Ghana Card lɛ be eho momo. Ŋma gbi ni ja (DD/MM/YYYY):",
+  "sms.expiry": "Ojekoo {name}, o-{document} be baaho yɛ {date} (gbii {days} eshwɛ). Fee ehee ni okɛ wolo hee lɛ ba.",
+  "sms.expired": "Ojekoo {name}, o-{document} be eho yɛ {date}. Obɛ compliance kɛyashi beni okɛ wolo ni ja baaba.",
+  "email.expiry.subject": "PCRS Wolo Be Kaimɔ",
+  "email.expiry.title": "PCRS Wolo Be",
+  "email.expired.subject": "PCRS Wolo Be Eho",
+
+  "signup.agency": "Ŋma o-agency code.\n1. Mibɛ agency ko mli",
+  "signup.agency.invalid": "Wɔleee agency code nɛɛ. Ŋma o-agency code.\n1. Mibɛ agency ko mli",
+  "menu.agency": "Agency",
+  "update.agency.saved": "Agbɛnɛ okɛ {agency} efee ekome.",
+  "update.agency.left": "Obɛ agency ko mli dɔŋŋ.",
+  "sms.agencyInvite": "{agency} miitsɛ bo koni oŋma o-gbɛi yɛ PCRS nɔ akɛ amɛ-courier. Frɛ PCRS code lɛ, hala Ŋma o-gbɛi ni oŋma agency code {code}.",
+  "sms.agencyInvite.member": "{agency} miitsɛ bo koni oba amɛ-ŋɔɔ yɛ PCRS nɔ. Frɛ PCRS code lɛ, hala Tsake mi-saji > Agency ni oŋma code {code}.",
+
+  "menu.myCode": "Mi Verification Code",
+  "menu.verifyCode": "Kwɛmɔ courier ko",
+  "code.title": "Verification Code",
+  "code.new": "Na code hee",
+  "code.revoke": "Kpa mi code",
+  "code.issued": "Bo code ji {code}. Tsɔɔ bo customer. Eŋmɛ naa {time}.",
+  "code.revoked": "Wɔkpa bo verification code lɛ.",
+  "code.prompt": "Ŋma courier lɛ verification code:",
+  "code.invalid": "Code lɛ ejaaa loo eŋmɛ eshɛ naagbee. 9.Kuku 0.Shia",
+  "code.valid": "Code lɛ tsuɔ nii kɛyashi {time}.",
+
+  "menu.report": "Bɔ courier ko he amaniɛ",
+  "report.courier": "Ŋma courier lɛ License loo Ghana Card nɔmba:",
+  "report.category": "Mɛni ba?",
+  "report.category.misconduct": "Jeŋba fɔŋ",
+  "report.category.lost_parcel": "Nii ni elaaje loo efite",
+  "report.category.unregistered": "Rider ni eŋmaaa egbɛi",
+  "report.category.other": "Ekroko",
+  "report.description": "Tsɔɔ nɔ ni ba lɛ yɛ kuku mli:",
+  "report.description.invalid": "Ofainɛ, tsɔɔ nɔ ni ba lɛ yɛ niŋmaa {max} mli:",
+  "report.filed": "Oyiwaladɔŋŋ. Wɔnine eshɛ bo amaniɛbɔɔ lɛ nɔ. Reference: {reference}",
+  "sms.complaint": "PCRS: Wɔnine eshɛ bo amaniɛbɔɔ ni kɔɔ courier ko he lɛ nɔ. Bo reference ji {reference}. Tsɛ lɛ kɛ́ oofɔ̃ wɔ.",
+
+  "signup.dob": "Ŋma gbi ni afɔ bo (DD/MM/YYYY):",
+  "signup.dob.invalid": "Gbi lɛ ejaaa. Ŋma gbi ni afɔ bo (DD/MM/YYYY):",
+  "signup.dob.age": "Esa akɛ oye afii {age} loo fe nakai. Ŋma gbi ni afɔ bo (DD/MM/YYYY):",
+
+  "summary.suspended": "Atsi naa",
+  "account.suspended": "Atsi bo courier akawnt lɛ naa. Ofainɛ, tsɛ PCRS.",
+  "account.closed": "Ashi bo courier akawnt lɛ. Ofainɛ, tsɛ PCRS.",
+
+  "limit.complaint": "Oshɛ ŋmɛnɛ amaniɛbɔɔ naagbee. Ka ekoŋŋ wɔ.",
+};
+
+const ha = {
+  "engine.invalidChoice": "Zaɓin bai dace ba.",
+  "engine.unavailable": "Sabis ɗin baya samuwa yanzu. Gwada daga baya.",
+  "engine.more": "Ƙari",
+
+  "home.member.title": "Sannu {name}",
+  "menu.signUp": "Yi rajista",
+  "menu.lookup": "Duba Courier",
+  "menu.cancel": "Soke",
+  "menu.continueRegistration": "Ci gaba da rajista",
+  "menu.viewDetails": "Duba bayanaina",
+  "menu.language": "Canza harshe",
+  "goodbye.guest": "Mun gode da amfani da PCRS Courier Compliance Service.",
+  "goodbye.member": "An kammala.",
+  "draft.expired": "Rajistar da kuka fara ta ƙare.",
+  "details.notFound": "Ba a sami asusun ba.",
+  "details.unavailable": "Ba za a iya samun bayanai yanzu ba.",
+
+  "signup.info": "Don yin rajista, kuna buƙatar:\n\nLambar Lasisi\nGhana Card (misali, GHA-123456789-01)\n\nDanna 1 don ci gaba",
+  "signup.name": "Shigar da cikakken suna:",
+  "signup.name.invalid": "Suna bai dace ba. Shigar da cikakken suna:",
+  "signup.username": "Zaɓi sunan mai amfani:",
+  "signup.username.invalid": "Sunan mai amfani bai dace ba. Sake gwadawa:",
+  "signup.username.taken": "An riga an ɗauki sunan. Shigar da wani:",
+  "signup.phone": "Shigar da lambar waya (misali, 024XXXXXXX):",
+  "signup.phone.invalid": "Lambar waya ba daidai ba. Shigar da lambar waya (misali, 024XXXXXXX):",
+  "signup.phone.taken": "An riga an yi rajistar lambar. Shigar da wata:",
+  "signup.email": "Shigar da imel:",
+  "signup.email.invalid": "Imel bai dace ba. Shigar da imel:",
+  "signup.email.taken": "Ana amfani da imel ɗin. Shigar da wani:",
+  "signup.password": "Ƙirƙiri kalmar sirri:",
+  "signup.password.short": "Kalmar sirri ta yi gajere (aƙalla 6). Ƙirƙiri kalmar sirri:",
+  "signup.confirm": "Tabbatar da kalmar sirri:",
+  "signup.confirm.mismatch": "Kalmomin sirri ba su yi daidai ba. Ƙirƙiri kalmar sirri:",
+  "signup.dvla": "Shigar da lambar lasisin tuƙi:",
+  "signup.dvla.invalid": "Lambar lasisi ba daidai ba. Shigar da lambar lasisin tuƙi:",
+  "signup.dvla.taken": "An riga an yi rajistar lasisin. Shigar da wani:",
+  "signup.ghanaCard": "Shigar da Ghana Card (misali, GHA-123456789-01):",
+  "signup.ghanaCard.invalid": "Tsari bai dace ba. Yi amfani da GHA-XXXXXXXXX-XX:",
+  "signup.ghanaCard.taken": "An riga an yi rajistar Ghana Card ɗin. Shigar da wani:",
+  "signup.failed": "Rajista ba ta yi nasara ba. Gwada daga baya.",
+  "signup.success": "An yi rajista cikin nasara!\nZa a aiko SMS/Imel zuwa wayarku/imel ɗinku nan ba da jimawa ba.\n\nBi hanyar da ke cikin SMS/Imel don ɗora:\nLasisin Tuƙi\nGhana Card",
+
+  "lookup.prompt": "Shigar da lambar Lasisi ko Ghana Card:",
+  "lookup.notFound": "Ba a sami courier ba. 9.Koma 0.Gida",
+
+  "summary.name": "Suna",
+  "summary.compliant": "Yana bin ƙa'ida",
+  "summary.phone": "Waya",
+  "summary.email": "Imel",
+  "summary.license": "Lasisi",
+  "summary.ghanaCard": "Ghana Card",
+  "yes": "Ee",
+  "no": "A'a",
+
+  "document.dvla": "Lasisin Tuƙi",
+  "document.ghanaCard": "Ghana Card",
+  "status.pending": "an karɓa",
+  "status.approved": "an amince",
+  "status.rejected": "an ƙi",
+  "status.expired": "ya ƙare",
+
+  "sms.welcome": "Barka da zuwa {name}.\nDon kammala rajista, danna hanyar da ke ƙasa ka ɗora takardunka (Lasisin Tuƙi da Ghana Card):\n\nhttps://ncstcs.vercel.app",
+  "sms.details": "Bayanan Courier",
+  "sms.compliance": "Sannu {name}, {document} ɗinka {status}.{note}\nYana bin ƙa'ida: {compliance}",
+  "sms.note": "\nLura: {notes}",
+
+  "email.welcome.subject": "An yi rajistar PCRS cikin nasara",
+  "email.welcome.title": "Kammala Rajistar PCRS",
+  "email.hello": "Sannu",
+  "email.welcome.created": "An ƙirƙiri asusunka cikin nasara!",
+  "email.welcome.upload": "Don kammala rajista, shiga shafin PCRS ka ɗora takardunka:",
+  "email.portal": "Je zuwa PCRS Portal",
+  "email.instructions": "Umarni:",
+  "email.step1": "Shiga da sunan mai amfani da kalmar sirri",
+  "email.step2": "Je shafin <strong>Profile</strong>",
+  "email.step3": "Ɗora takardunka",
+  "email.step4": "Aika don tantancewa",
+  "email.security": "Don tsaro, kada ka bayyana kalmar sirrinka. Ba za mu taɓa tambayarta ta imel ko waya ba.",
+  "email.compliance.subject": "Sabunta PCRS",
+  "email.compliance.title": "Sabunta PCRS",
+  "email.compliance.body": "<strong>{document}</strong> ɗinka <strong>{status}</strong>.",
+  "email.compliance.notes": "Bayanin mai dubawa:",
+  "email.compliance.current": "Matsayinka yanzu:",
+  "email.compliant": "Yana bin ƙa'ida",
+  "email.notCompliant": "Baya bin ƙa'ida",
+
+  "pin.verify": "Sannu {name}\nShigar da PIN ɗinka:\n99. Na manta PIN",
+  "pin.wrong": "PIN ba daidai ba. Saura {left}.\nShigar da PIN ɗinka:\n99. Na manta PIN",
+  "pin.locked": "Ƙoƙari ya yi yawa. Sake gwadawa bayan minti {minutes} ko ka aika 99 don sake saita PIN.",
+  "pin.setup": "Sannu {name}\nKare asusunka da PIN.\nShigar da kalmar sirrinka:\n99. Na manta PIN",
+  "pin.setup.wrong": "Kalmar sirri ba daidai ba. Saura {left}.\nShigar da kalmar sirrinka:\n99. Na manta PIN",
+  "pin.create": "Ƙirƙiri PIN mai lamba 4:",
+  "pin.create.invalid": "PIN dole ya zama lamba 4. Ƙirƙiri PIN mai lamba 4:",
+  "pin.confirm": "Tabbatar da PIN ɗinka:",
+  "pin.confirm.mismatch": "PIN ba su yi daidai ba. Ƙirƙiri PIN mai lamba 4:",
+  "pin.saved": "An adana PIN ɗinka.",
+  "otp.sent": "Mun aika lamba ta SMS zuwa wayarka.\nShigar da lambar:",
+  "otp.invalid": "Lambar ba daidai ba. Saura {left}.\nShigar da lambar:",
+  "otp.failed": "Lambar ta ƙare ko an yi kuskure sau da yawa. Sake kira.",
+  "sms.otp": "Lambar PCRS ɗinka ita ce {code}. Za ta ƙare cikin minti {minutes}. Kada ka bayyana ta ga kowa.",
+
+  "menu.forgotPassword": "Na manta kalmar sirri",
+  "password.saved": "An canza kalmar sirrinka. Yi amfani da ita don shiga PCRS portal.",
+
+  "menu.updateDetails": "Sabunta bayanaina",
+  "update.title": "Sabunta bayanaina",
+  "update.saved": "An sabunta bayananka.",
+  "update.saved.document": "An sabunta bayananka. Loda sabon takardarka domin a dawo da matsayin compliance ɗinka.",
+
+  "limit.rate": "Bincike ya yi yawa. Sake gwadawa bayan minti {minutes}.",
+  "limit.blocked": "Bincike mara nasara ya yi yawa. An dakatar da bincike na minti {minutes}.",
+  "limit.sms": "Ka kai iyakar SMS na yau. Sake gwadawa gobe.",
+
+  "signup.dvlaExpiry": "Shigar da ranar ƙarewar Lasisi (DD/MM/YYYY):",
+  "signup.dvlaExpiry.invalid": "Kwanan wata ba daidai ba. Shigar da ranar ƙarewar Lasisi (DD/MM/YYYY):",
+  "signup.dvlaExpiry.past": "Lasisin ya riga ya ƙare. Shigar da ingantacciyar rana (DD/MM/YYYY):",
+  "signup.ghanaCardExpiry": "Shigar da ranar ƙarewar Ghana Card (DD/MM/YYYY):",
+  "signup.ghanaCardExpiry.invalid": "Kwanan wata ba daidai ba. Shigar da ranar ƙarewar Ghana Card (DD/MM/YYYY):",
+  "signup.ghanaCardExpiry.past": "Ghana Card ɗin ya riga ya ƙare. Shigar da ingantacciyar rana (DD/MM/YYYY):",
+  "sms.expiry": "Sannu {name}, {document} ɗinka zai ƙare a {date} (saura kwana {days}). Sabunta shi kuma ka loda sabon takarda.",
+  "sms.expired": "Sannu {name}, {document} ɗinka ya ƙare a {date}. Ba ka cika ka'ida ba har sai ka loda ingantacciyar takarda.",
+  "email.expiry.subject": "Tunatarwar Ƙarewar Takardar PCRS",
+  "email.expiry.title": "Ƙarewar Takardar PCRS",
+  "email.expired.subject": "Takardar PCRS Ta Ƙare",
+
+  "signup.agency": "Shigar da lambar hukumarka.\n1. Ba na aiki da wata hukuma",
+  "signup.agency.invalid": "Ba a san lambar hukumar ba. Shigar da lambar hukumarka.\n1. Ba na aiki da wata hukuma",
+  "menu.agency": "Hukuma",
+  "update.agency.saved": "Yanzu kana tare da {agency}.",
+  "update.agency.left": "Ba ka tare da wata hukuma yanzu.",
+  "sms.agencyInvite": "{agency} tana gayyatarka ka yi rajista a PCRS a matsayin courier ɗinta. Kira lambar PCRS, zaɓi Rajista kuma shigar da lambar hukuma {code}.",
+  "sms.agencyInvite.member": "{agency} tana gayyatarka ka shiga tare da ita a PCRS. Kira lambar PCRS, zaɓi Sabunta bayanaina > Hukuma kuma shigar da lamba {code}.",
+
+  "menu.myCode": "Lambar Tabbatarwa Ta",
+  "menu.verifyCode": "Tabbatar da Courier",
+  "code.title": "Lambar Tabbatarwa",
+  "code.new": "Karɓi sabuwar lamba",
+  "code.revoke": "Soke lambata",
+  "code.issued": "Lambarka ita ce {code}. Nuna wa abokin cinikinka. Za ta ƙare a {time}.",
+  "code.revoked": "An soke lambar tabbatarwarka.",
+  "code.prompt": "Shigar da lambar tabbatarwa ta courier:",
+  "code.invalid": "Lambar ba daidai ba ce ko ta ƙare. 9.Koma 0.Gida",
+  "code.valid": "Lambar tana aiki har zuwa {time}.",
+
+  "menu.report": "Kai Rahoton Courier",
+  "report.courier": "Shigar da lambar License ko Ghana Card ta courier:",
+  "report.category": "Me ya faru?",
+  "report.category.misconduct": "Rashin ɗa'a",
+  "report.category.lost_parcel": "Kaya da ya ɓace ko ya lalace",
+  "report.category.unregistered": "Mahayi marar rajista",
+  "report.category.other": "Wani abu",
+  "report.description": "Bayyana abin da ya faru a taƙaice:",
+  "report.description.invalid": "Da fatan za a bayyana abin da ya faru cikin haruffa {max}:",
+  "report.filed": "Mun gode. Mun karɓi rahotonka. Lambar shaida: {reference}",
+  "sms.complaint": "PCRS: Mun karɓi rahotonka game da wani courier. Lambar shaidarka ita ce {reference}. Ambace ta idan ka tuntuɓe mu.",
+
+  "signup.dob": "Shigar da ranar haihuwarka (DD/MM/YYYY):",
+  "signup.dob.invalid": "Kwanan wata ba daidai ba. Shigar da ranar haihuwarka (DD/MM/YYYY):",
+  "signup.dob.age": "Dole ne shekarunka su kai {age}. Shigar da ranar haihuwarka (DD/MM/YYYY):",
+
+  "summary.suspended": "An dakatar",
+  "account.suspended": "An dakatar da asusunka na courier. Da fatan za a tuntuɓi PCRS.",
+  "account.closed": "An rufe asusunka na courier. Da fatan za a tuntuɓi PCRS.",
+
+  "limit.complaint": "Ka kai iyakar rahotanni na yau. Sake gwadawa gobe.",
+};
+
+const CATALOG = { en, tw, ee, gaa, ha };
+
+export const isLanguage = (code) => LANGUAGE_CODES.includes(code);
+
+export const t = (lang, key, params = {}) => {
+  const text = CATALOG[lang]?.[key] ?? en[key] ?? key;
+  return text.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? params[name] : match));
+};
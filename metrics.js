@@ -0,0 +1,100 @@
+// =========================
+// Metrics
+// =========================
+// In-process counters and histograms rendered in the Prometheus text format
+// on GET /metrics. Each instance reports its own numbers; Prometheus adds
+// them up. Long-term figures (daily registrations, funnel) come from MongoDB
+// instead, see the admin report in app.js.
+const counters = new Map();
+const histograms = new Map();
+
+// Request latency buckets in seconds
+const BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const HELP = {
+  ussd_sessions_total: "USSD sessions started",
+  ussd_screens_total: "USSD screens shown, by screen",
+  ussd_validation_failures_total: "Rejected USSD inputs, by screen",
+  registrations_total: "Couriers registered, by channel",
+  lookups_total: "Courier lookups, by channel and result (hit, miss, limited)",
+  notifications_total: "Notification deliveries, by channel and result (sent, failed, dead)",
+  http_request_duration_seconds: "HTTP request latency, by method, route and status",
+};
+
+const labelKey = (labels) => JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+
+const formatLabels = (key, extra = {}) => {
+  const entries = [...JSON.parse(key), ...Object.entries(extra)];
+  if (!entries.length) return "";
+  const escape = (v) => String(v).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+  return `{${entries.map(([k, v]) => `${k}="${escape(v)}"`).join(",")}}`;
+};
+
+export const inc = (name, labels = {}, by = 1) => {
+  if (!counters.has(name)) counters.set(name, new Map());
+  const series = counters.get(name);
+  const key = labelKey(labels);
+  series.set(key, (series.get(key) || 0) + by);
+};
+
+export const observe = (name, labels, value) => {
+  if (!histograms.has(name)) histograms.set(name, new Map());
+  const series = histograms.get(name);
+  const key = labelKey(labels);
+  const h = series.get(key) || { buckets: BUCKETS.map(() => 0), sum: 0, count: 0 };
+  BUCKETS.forEach((le, i) => {
+    if (value <= le) h.buckets[i] += 1;
+  });
+  h.sum += value;
+  h.count += 1;
+  series.set(key, h);
+};
+
+// Activity log events that are also counted (see activity-log.js)
+export const countActivity = (action, details = {}) => {
+  switch (action) {
+    case "session_start":
+      return inc("ussd_sessions_total");
+    case "screen":
+      return inc("ussd_screens_total", { screen: details.screen });
+    case "validation_failed":
+      return inc("ussd_validation_failures_total", { screen: details.screen });
+    case "register":
+      return inc("registrations_total", { channel: details.channel || "ussd" });
+    case "lookup":
+      return inc("lookups_total", { channel: details.channel, result: details.found ? "hit" : "miss" });
+    case "lookup_limited":
+      return inc("lookups_total", { channel: details.channel, result: "limited" });
+  }
+};
+
+// Express middleware timing every request; routes are reported by their pattern, not the raw URL
+export const requestTimer = (req, res, next) => {
+  const started = process.hrtime.bigint();
+  res.on("finish", () => {
+    const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+    const route = req.route?.path ? `${req.baseUrl}${req.route.path}` : "unmatched";
+    observe("http_request_duration_seconds", { method: req.method, route, status: res.statusCode }, seconds);
+  });
+  next();
+};
+
+export const renderMetrics = () => {
+  const lines = [];
+  for (const [name, series] of counters) {
+    if (HELP[name]) lines.push(`# HELP ${name} ${HELP[name]}`);
+    lines.push(`# TYPE ${name} counter`);
+    for (const [key, value] of series) lines.push(`${name}${formatLabels(key)} ${value}`);
+  }
+  for (const [name, series] of histograms) {
+    if (HELP[name]) lines.push(`# HELP ${name} ${HELP[name]}`);
+    lines.push(`# TYPE ${name} histogram`);
+    for (const [key, h] of series) {
+      BUCKETS.forEach((le, i) => lines.push(`${name}_bucket${formatLabels(key, { le })} ${h.buckets[i]}`));
+      lines.push(`${name}_bucket${formatLabels(key, { le: "+Inf" })} ${h.count}`);
+      lines.push(`${name}_sum${formatLabels(key)} ${h.sum}`);
+      lines.push(`${name}_count${formatLabels(key)} ${h.count}`);
+    }
+  }
+  return lines.join("\n") + "\n";
+};
@@ -0,0 +1,242 @@
+import mongoose from "mongoose";
+import { LANGUAGE_CODES } from "./messages.js";
+
+// =========================
+// Schemas & Models
+// =========================
+
+// Agency Schema (courier companies; couriers join with the agency code)
+const agencySchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true },
+    code: { type: String, required: true, unique: true, uppercase: true, trim: true },
+    phone: { type: String },
+    email: { type: String },
+    active: { type: Boolean, default: true },
+  },
+  { timestamps: true }
+);
+export const Agency = mongoose.model("Agency", agencySchema);
+
+// User Schema (courier accounts)
+const userSchema = new mongoose.Schema(
+  {
+    username: { type: String, required: true, unique: true },
+    password: { type: String, required: true },
+    role: { type: String, enum: ["admin", "agency", "operator", "courier"], default: "courier" },
+    name: { type: String },
+    phone: { type: String, unique: true, sparse: true },
+    email: { type: String, unique: true, sparse: true },
+    dvlaNumber: { type: String, unique: true, sparse: true },
+    ghanaCardNumber: { type: String, unique: true, sparse: true },
+    dvlaExpiresAt: { type: Date },
+    ghanaCardExpiresAt: { type: Date },
+    // Expiry reminders already sent, e.g. "dvla:2026-03-01:7" (see document-expiry.js)
+    expiryNotices: [{ type: String }],
+    dateOfBirth: { type: Date },
+    isCompliant: { type: Boolean, default: false },
+    // Latest Ghana Card / licence registry check (see identity-verification.js)
+    identityVerification: {
+      status: { type: String, enum: ["verified", "mismatch", "not_found", "error", "skipped"] },
+      score: { type: Number },
+      provider: { type: String },
+      checkedAt: { type: Date },
+      documents: [
+        {
+          _id: false,
+          documentType: { type: String },
+          found: { type: Boolean },
+          active: { type: Boolean },
+          nameScore: { type: Number },
+          dobMatch: { type: Boolean },
+          score: { type: Number },
+        }
+      ],
+    },
+    // Set by staff through the admin API; deleted accounts are kept but hidden everywhere
+    suspendedAt: { type: Date },
+    suspendedBy: { type: String },
+    suspensionReason: { type: String },
+    deletedAt: { type: Date, index: true },
+    deletedBy: { type: String },
+    // Complaints filed against the courier (see complaints.js)
+    complaintCount: { type: Number, default: 0 },
+    // Couriers: the agency they ride for; agency users: the agency they manage
+    agency: { type: mongoose.Schema.Types.ObjectId, ref: "Agency", index: true },
+    language: { type: String, enum: LANGUAGE_CODES },
+    // USSD PIN (bcrypt hash) and its lockout state
+    pin: { type: String },
+    pinFailedAttempts: { type: Number, default: 0 },
+    pinLockedUntil: { type: Date },
+    // Previous licence / Ghana Card numbers, newest last
+    documentHistory: [
+      {
+        field: { type: String, enum: ["dvlaNumber", "ghanaCardNumber"] },
+        value: { type: String },
+        changedAt: { type: Date, default: Date.now },
+        changedBy: { type: String },
+      }
+    ],
+  },
+  { timestamps: true }
+);
+export const User = mongoose.model("User", userSchema);
+
+// Compliance Schema (one record per document submission)
+const complianceSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    documentType: { type: String, enum: ["dvla", "ghanaCard"], required: true },
+    documentNumber: { type: String },
+    documentUrl: { type: String },
+    status: { type: String, enum: ["pending", "approved", "rejected", "expired"], default: "pending", index: true },
+    reviewerNotes: { type: String },
+    reviewedBy: { type: String },
+    reviewedAt: { type: Date },
+    expiresAt: { type: Date },
+  },
+  { timestamps: true }
+);
+export const Compliance = mongoose.model("Compliance", complianceSchema);
+
+// API Key Schema (machine clients); only a hash of the key is stored
+const apiKeySchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true },
+    keyHash: { type: String, required: true, unique: true },
+    prefix: { type: String },
+    role: { type: String, enum: ["admin", "agency", "operator"], default: "operator" },
+    // Required for agency keys
+    agency: { type: mongoose.Schema.Types.ObjectId, ref: "Agency" },
+    active: { type: Boolean, default: true },
+    lastUsedAt: { type: Date },
+  },
+  { timestamps: true }
+);
+export const ApiKey = mongoose.model("ApiKey", apiKeySchema);
+
+// Registration Draft Schema (unfinished USSD sign-ups, keyed by msisdn; never holds the password)
+const registrationDraftSchema = new mongoose.Schema(
+  {
+    msisdn: { type: String, required: true, unique: true },
+    data: { type: mongoose.Schema.Types.Mixed, default: {} },
+    expiresAt: { type: Date, required: true },
+  },
+  { timestamps: true, minimize: false }
+);
+registrationDraftSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+export const RegistrationDraft = mongoose.model("RegistrationDraft", registrationDraftSchema);
+
+// Notification Schema (outbox for SMS/email; the worker in outbox.js sends them)
+const notificationSchema = new mongoose.Schema(
+  {
+    channel: { type: String, enum: ["sms", "email"], required: true },
+    type: { type: String },
+    to: { type: String, required: true },
+    from: { type: String },
+    subject: { type: String },
+    body: { type: String, required: true },
+    html: { type: String },
+    status: {
+      type: String,
+      enum: ["queued", "retrying", "sending", "sent", "delivered", "undelivered", "dead"],
+      default: "queued",
+      index: true
+    },
+    attempts: { type: Number, default: 0 },
+    maxAttempts: { type: Number, default: 5 },
+    nextAttemptAt: { type: Date, default: Date.now, index: true },
+    lockedUntil: { type: Date },
+    lastError: { type: String },
+    providerMessageId: { type: String, index: true, sparse: true },
+    deliveryStatus: { type: String },
+    sentAt: { type: Date },
+    deliveredAt: { type: Date },
+  },
+  { timestamps: true }
+);
+export const Notification = mongoose.model("Notification", notificationSchema);
+
+// Activity Log Schema (audit trail; never holds passwords or other secrets)
+const activityLogSchema = new mongoose.Schema(
+  {
+    msisdn: { type: String, index: true },
+    action: { type: String, required: true, index: true },
+    courier: { type: mongoose.Schema.Types.ObjectId, ref: "User", index: true },
+    actor: { type: String },
+    details: { type: mongoose.Schema.Types.Mixed },
+    timestamp: { type: Date, default: Date.now, index: true },
+  },
+  { versionKey: false }
+);
+export const ActivityLog = mongoose.model("ActivityLog", activityLogSchema);
+
+// One-Time Code Schema (SMS codes for PIN/password resets; only a hash is stored)
+const oneTimeCodeSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    purpose: { type: String, required: true },
+    codeHash: { type: String, required: true },
+    attempts: { type: Number, default: 0 },
+    maxAttempts: { type: Number, default: 3 },
+    consumedAt: { type: Date },
+    expiresAt: { type: Date, required: true },
+  },
+  { timestamps: true }
+);
+oneTimeCodeSchema.index({ user: 1, purpose: 1 });
+oneTimeCodeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+export const OneTimeCode = mongoose.model("OneTimeCode", oneTimeCodeSchema);
+
+// Rate Limit Schema (counters and temporary blocks shared by every instance; see rate-limit.js)
+const rateLimitSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true, unique: true },
+    count: { type: Number, default: 0 },
+    expiresAt: { type: Date, required: true },
+  },
+  { versionKey: false }
+);
+rateLimitSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+export const RateLimit = mongoose.model("RateLimit", rateLimitSchema);
+
+// Verification Code Schema (short codes couriers show to customers; only a hash is stored)
+const verificationCodeSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    codeHash: { type: String, required: true, unique: true },
+    revokedAt: { type: Date },
+    expiresAt: { type: Date, required: true },
+  },
+  { timestamps: true }
+);
+verificationCodeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+export const VerificationCode = mongoose.model("VerificationCode", verificationCodeSchema);
+
+// Complaint Schema (public reports against couriers, triaged by operators)
+const complaintSchema = new mongoose.Schema(
+  {
+    reference: { type: String, required: true, unique: true },
+    // Empty when the number entered matches no registered courier
+    courier: { type: mongoose.Schema.Types.ObjectId, ref: "User", index: true },
+    courierQuery: { type: String },
+    category: { type: String, enum: ["misconduct", "lost_parcel", "unregistered", "other"], required: true },
+    description: { type: String, required: true },
+    msisdn: { type: String, required: true },
+    channel: { type: String, default: "ussd" },
+    status: { type: String, enum: ["open", "in_progress", "closed"], default: "open", index: true },
+    assignedTo: { type: String, index: true },
+    notes: [
+      {
+        text: { type: String },
+        by: { type: String },
+        at: { type: Date, default: Date.now },
+      }
+    ],
+    resolution: { type: String },
+    closedBy: { type: String },
+    closedAt: { type: Date },
+  },
+  { timestamps: true }
+);
+export const Complaint = mongoose.model("Complaint", complaintSchema);
@@ -0,0 +1,48 @@
+// =========================
+// One-Time Codes
+// =========================
+// Short-lived numeric codes sent by SMS to the phone on file, used to reset a
+// PIN or password. Each code is single-use and allows a few wrong guesses.
+import crypto from "crypto";
+import bcrypt from "bcryptjs";
+import { OneTimeCode } from "./models.js";
+import { sendTemplatedSms } from "./send-sms.js";
+import { DEFAULT_LANGUAGE } from "./messages.js";
+import { allowSms } from "./rate-limit.js";
+
+export const otpTtlMinutes = () => Number(process.env.OTP_TTL_MINUTES) || 10;
+
+// Replaces any unused code for the same purpose and texts the new one.
+// Resolves to false when the phone has reached its daily SMS cap.
+export const issueOtp = async (user, purpose, lang = user.language || DEFAULT_LANGUAGE) => {
+  if (!(await allowSms(`msisdn:${user.phone}`))) return false;
+  const code = crypto.randomInt(0, 1000000).toString().padStart(6, "0");
+  const minutes = otpTtlMinutes();
+  await OneTimeCode.deleteMany({ user: user._id, purpose, consumedAt: null });
+  await OneTimeCode.create({
+    user: user._id,
+    purpose,
+    codeHash: await bcrypt.hash(code, 8),
+    maxAttempts: Number(process.env.OTP_MAX_ATTEMPTS) || 3,
+    expiresAt: new Date(Date.now() + minutes * 60 * 1000)
+  });
+  await sendTemplatedSms("otp", { code, minutes }, user.phone, lang);
+  return true;
+};
+
+// Resolves to { ok: true } or { ok: false, attemptsLeft } (0 when the code is used up or expired)
+export const verifyOtp = async (userId, purpose, code) => {
+  // Count the attempt before comparing so parallel guesses cannot exceed the limit
+  const otp = await OneTimeCode.findOneAndUpdate(
+    { user: userId, purpose, consumedAt: null, expiresAt: { $gt: new Date() }, $expr: { $lt: ["$attempts", "$maxAttempts"] } },
+    { $inc: { attempts: 1 } },
+    { sort: { createdAt: -1 }, new: true }
+  );
+  if (!otp) return { ok: false, attemptsLeft: 0 };
+  if (!(await bcrypt.compare((code || "").toString().trim(), otp.codeHash))) {
+    return { ok: false, attemptsLeft: otp.maxAttempts - otp.attempts };
+  }
+  otp.consumedAt = new Date();
+  await otp.save();
+  return { ok: true };
+};
@@ -0,0 +1,141 @@
+// =========================
+// Notification Outbox
+// =========================
+// SMS and email are written to the Notification collection first and sent by
+// a worker, so a failed request to Arkesel or the SMTP server is retried with
+// exponential backoff instead of being lost. After `maxAttempts` failures a
+// notification is parked as "dead" until an operator resends it.
+//
+// One-time codes (`type: "otp"`) are only hashed in OneTimeCode, so their text
+// is blanked as soon as they are sent or dead, and they cannot be resent.
+//
+// Transports are passed to startOutboxWorker() by app.js:
+//   sms({ to, body })                      -> { providerMessageId }
+//   email({ from, to, subject, body, html }) -> { providerMessageId }
+// and must throw when the provider did not accept the message.
+import { Notification } from "./models.js";
+import { inc } from "./metrics.js";
+
+const LOCK_MS = 1000 * 60;
+const BATCH_SIZE = 20;
+const MAX_BACKOFF_MS = 1000 * 60 * 60;
+export const SECRET_TYPES = ["otp"];
+export const REDACTED_BODY = "[redacted]";
+
+let transports = null;
+let draining = null;
+
+const retryBaseMs = () => Number(process.env.OUTBOX_RETRY_BASE_MS) || 1000 * 30;
+
+export const backoffMs = (attempts) => Math.min(retryBaseMs() * 2 ** (attempts - 1), MAX_BACKOFF_MS);
+
+// Claims the next due notification so only one worker (on any instance) sends it
+const claimNext = () => {
+  const now = new Date();
+  return Notification.findOneAndUpdate(
+    {
+      $or: [
+        { status: { $in: ["queued", "retrying"] }, nextAttemptAt: { $lte: now } },
+        // a worker died while sending
+        { status: "sending", lockedUntil: { $lte: now } },
+      ]
+    },
+    { status: "sending", lockedUntil: new Date(now.getTime() + LOCK_MS) },
+    { sort: { nextAttemptAt: 1 }, new: true }
+  );
+};
+
+const deliver = async (notification) => {
+  const send = transports?.[notification.channel];
+  try {
+    if (!send) throw new Error(`No transport for ${notification.channel}`);
+    const result = await send(notification);
+    notification.status = "sent";
+    notification.sentAt = new Date();
+    notification.providerMessageId = result?.providerMessageId;
+    notification.lastError = undefined;
+    inc("notifications_total", { channel: notification.channel, result: "sent" });
+  } catch (err) {
+    notification.attempts += 1;
+    notification.lastError = err?.message || String(err);
+    if (notification.attempts >= notification.maxAttempts) {
+      notification.status = "dead";
+      inc("notifications_total", { channel: notification.channel, result: "dead" });
+      console.error(`📭 ${notification.channel} to ${notification.to} moved to dead-letter:`, notification.lastError);
+    } else {
+      notification.status = "retrying";
+      inc("notifications_total", { channel: notification.channel, result: "failed" });
+      notification.nextAttemptAt = new Date(Date.now() + backoffMs(notification.attempts));
+    }
+  }
+  notification.lockedUntil = undefined;
+  if (SECRET_TYPES.includes(notification.type) && ["sent", "dead"].includes(notification.status)) {
+    notification.body = REDACTED_BODY;
+  }
+  await notification.save();
+};
+
+// Sends everything that is due; concurrent calls share the same run
+export const processOutbox = () => {
+  if (!draining) {
+    draining = (async () => {
+      try {
+        for (let i = 0; i < BATCH_SIZE; i++) {
+          const next = await claimNext();
+          if (!next) break;
+          await deliver(next);
+        }
+      } catch (err) {
+        console.error("Outbox error:", err?.message || err);
+      } finally {
+        draining = null;
+      }
+    })();
+  }
+  return draining;
+};
+
+export const startOutboxWorker = (outboxTransports, { intervalMs = 5000 } = {}) => {
+  transports = outboxTransports;
+  const timer = setInterval(processOutbox, intervalMs);
+  timer.unref?.();
+  return () => clearInterval(timer);
+};
+
+// Queues a notification and nudges the worker so it usually goes out immediately
+export const queueNotification = async ({ channel, type, to, from, subject, body, html }) => {
+  try {
+    const notification = await Notification.create({ channel, type, to, from, subject, body, html });
+    if (transports) processOutbox();
+    return notification;
+  } catch (err) {
+    console.error(`Outbox queue error (${channel} to ${to}):`, err?.message || err);
+    return null;
+  }
+};
+
+export const resendNotification = async (id) => {
+  const notification = await Notification.findOneAndUpdate(
+    { _id: id, status: { $ne: "sending" }, type: { $nin: SECRET_TYPES } },
+    { status: "queued", attempts: 0, nextAttemptAt: new Date(), $unset: { lastError: 1, deliveryStatus: 1 } },
+    { new: true }
+  );
+  if (notification && transports) processOutbox();
+  return notification;
+};
+
+// Arkesel delivery statuses we treat as final
+const DELIVERED = ["DELIVERED", "DELIVRD", "SUCCESS"];
+const UNDELIVERED = ["FAILED", "UNDELIVERED", "UNDELIV", "REJECTED", "EXPIRED"];
+
+export const recordDeliveryReport = async (providerMessageId, deliveryStatus) => {
+  const code = (deliveryStatus || "").toString().toUpperCase();
+  const update = { deliveryStatus: code };
+  if (DELIVERED.includes(code)) {
+    update.status = "delivered";
+    update.deliveredAt = new Date();
+  } else if (UNDELIVERED.includes(code)) {
+    update.status = "undelivered";
+  }
+  return Notification.findOneAndUpdate({ providerMessageId }, update, { new: true });
+};
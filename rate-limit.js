@@ -0,0 +1,118 @@
+// =========================
+// Rate Limits
+// =========================
+// Counters live in MongoDB so every instance sees the same numbers. A caller
+// is identified by strings such as "msisdn:+233241234567", "ip:10.0.0.1" or
+// "apiKey:<id>"; a request is limited when any of its identities is.
+//
+//   LOOKUP_RATE_LIMIT           lookups per caller per window (default 20)
+//   LOOKUP_RATE_WINDOW_MINUTES  length of that window (default 60)
+//   LOOKUP_MISS_LIMIT           "not found" results in a row before a block (default 5)
+//   LOOKUP_BLOCK_MINUTES        how long the block lasts (default 30)
+//   SMS_DAILY_CAP               SMS a caller can trigger per day (default 10)
+//   COMPLAINT_DAILY_LIMIT       complaints a caller can file per day (default 3)
+//   INVITE_DAILY_LIMIT          agency invitations (SMS) per agency per day (default 200)
+//   LOGIN_MAX_ATTEMPTS          failed HTTP logins in a row before a block (default 5)
+//   LOGIN_LOCK_MINUTES          how long the block lasts (default 15)
+import { RateLimit } from "./models.js";
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+const lookupLimit = () => Number(process.env.LOOKUP_RATE_LIMIT) || 20;
+const lookupWindowMs = () => (Number(process.env.LOOKUP_RATE_WINDOW_MINUTES) || 60) * MINUTE;
+const missLimit = () => Number(process.env.LOOKUP_MISS_LIMIT) || 5;
+const blockMs = () => (Number(process.env.LOOKUP_BLOCK_MINUTES) || 30) * MINUTE;
+const smsDailyCap = () => Number(process.env.SMS_DAILY_CAP) || 10;
+const complaintDailyLimit = () => Number(process.env.COMPLAINT_DAILY_LIMIT) || 3;
+const inviteDailyLimit = () => Number(process.env.INVITE_DAILY_LIMIT) || 200;
+const loginMaxAttempts = () => Number(process.env.LOGIN_MAX_ATTEMPTS) || 5;
+const loginLockMs = () => (Number(process.env.LOGIN_LOCK_MINUTES) || 15) * MINUTE;
+
+// Atomic upsert; two instances creating the same counter at once make one of them retry
+const increment = async (key, expiresAt) => {
+  const update = { $inc: { count: 1 }, $setOnInsert: { expiresAt } };
+  try {
+    return await RateLimit.findOneAndUpdate({ key }, update, { upsert: true, new: true });
+  } catch (err) {
+    if (err?.code !== 11000) throw err;
+    return RateLimit.findOneAndUpdate({ key }, update, { upsert: true, new: true });
+  }
+};
+
+// Counts one event in the current fixed window; resolves to { allowed, retryAfterMs }
+const consume = async (key, limit, windowMs) => {
+  const bucket = Math.floor(Date.now() / windowMs);
+  const expiresAt = new Date((bucket + 1) * windowMs);
+  const counter = await increment(`${key}:${bucket}`, expiresAt);
+  return { allowed: counter.count <= limit, retryAfterMs: expiresAt.getTime() - Date.now() };
+};
+
+// `kind` is "lookup" or "login"
+const blockedFor = async (kind, id) => {
+  const block = await RateLimit.findOne({ key: `block:${kind}:${id}`, expiresAt: { $gt: new Date() } });
+  return block ? block.expiresAt.getTime() - Date.now() : 0;
+};
+
+// A success clears the run of failures; too many failures in a row block the
+// caller for `lockMs`. Resolves to the length of the block when this result started one, else 0.
+const recordResult = async (kind, ids, ok, { limit, lockMs }) => {
+  let blockedMs = 0;
+  for (const id of ids) {
+    const key = `miss:${kind}:${id}`;
+    if (ok) {
+      await RateLimit.deleteOne({ key });
+      continue;
+    }
+    const misses = await increment(key, new Date(Date.now() + lockMs));
+    if (misses.count >= limit) {
+      await RateLimit.updateOne(
+        { key: `block:${kind}:${id}` },
+        { count: misses.count, expiresAt: new Date(Date.now() + lockMs) },
+        { upsert: true }
+      );
+      await RateLimit.deleteOne({ key });
+      blockedMs = lockMs;
+    }
+  }
+  return blockedMs;
+};
+
+export const retryMinutes = (ms) => Math.max(1, Math.ceil(ms / MINUTE));
+
+// Resolves to { allowed: true } or { allowed: false, reason: "blocked" | "rate", retryAfterMs }
+export const checkLookup = async (ids) => {
+  for (const id of ids) {
+    const retryAfterMs = await blockedFor("lookup", id);
+    if (retryAfterMs) return { allowed: false, reason: "blocked", retryAfterMs };
+  }
+  for (const id of ids) {
+    const result = await consume(`lookup:${id}`, lookupLimit(), lookupWindowMs());
+    if (!result.allowed) return { allowed: false, reason: "rate", retryAfterMs: result.retryAfterMs };
+  }
+  return { allowed: true };
+};
+
+// Resolves to the length of the block (ms) when this result started one, else 0
+export const recordLookupResult = (ids, found) => recordResult("lookup", ids, found, { limit: missLimit(), lockMs: blockMs() });
+
+// Password logins: resolves to { allowed: true } or { allowed: false, retryAfterMs }
+export const checkLogin = async (ids) => {
+  for (const id of ids) {
+    const retryAfterMs = await blockedFor("login", id);
+    if (retryAfterMs) return { allowed: false, retryAfterMs };
+  }
+  return { allowed: true };
+};
+
+export const recordLoginResult = (ids, ok) => recordResult("login", ids, ok, { limit: loginMaxAttempts(), lockMs: loginLockMs() });
+
+// Counts one SMS against the caller's daily cap; false when the cap is reached
+export const allowSms = async (id) => (await consume(`sms:${id}`, smsDailyCap(), DAY)).allowed;
+
+// Counts one complaint against the caller's daily limit, so nobody can pile them
+// onto a courier; false when the limit is reached
+export const allowComplaint = async (id) => (await consume(`complaint:${id}`, complaintDailyLimit(), DAY)).allowed;
+
+// Agencies invite riders in batches, so invitations have their own daily limit; resolves to { allowed, retryAfterMs }
+export const checkInvitation = (agencyId) => consume(`invite:agency:${agencyId}`, inviteDailyLimit(), DAY);
@@ -2,7 +2,11 @@
 // Email Helpers
 // =========================
 import nodemailer from 'nodemailer';
+import fs from 'fs/promises';
+import crypto from 'crypto';
 import dotenv from 'dotenv';
+import { t, DEFAULT_LANGUAGE } from './messages.js';
+import { queueNotification } from './outbox.js';
 
 
 // Load environment variables
@@ -19,12 +23,7 @@ const transporter = nodemailer.createTransport({
   }
 });
 
-const generateEmailHtml = (username = 'courier_user') => {
-  return `
-    <!DOCTYPE html>
-    <html>
-    <head>
-      <title>Complete Your PCRS Registration</title>
+const emailStyles = `
       <style>
         body {
           font-family: Arial, sans-serif;
@@ -68,7 +67,22 @@ const generateEmailHtml = (username = 'courier_user') => {
         ul {
           padding-left: 20px;
         }
-      </style>
+      </style>`;
+
+// Names, notes and rendered texts come from users and staff, so they are escaped before going into the HTML
+const escapeHtml = (value) => (value ?? '').toString()
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const generateEmailHtml = (username = 'courier_user', lang = DEFAULT_LANGUAGE) => {
+  return `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <title>${t(lang, 'email.welcome.title')}</title>${emailStyles}
     </head>
     <body>
       <div class="container">
@@ -76,26 +90,26 @@ const generateEmailHtml = (username = 'courier_user') => {
           <h1>Public Courier Regulatory System (PCRS)</h1>
         </div>
         <div class="content">
-          <p>Hello <strong>${username}</strong>,</p>
-          <p>Your account has been successfully created!</p>
-          <p>To complete your registration, please log in to the PCRS portal and upload your compliance documents:</p>
+          <p>${t(lang, 'email.hello')} <strong>${escapeHtml(username)}</strong>,</p>
+          <p>${t(lang, 'email.welcome.created')}</p>
+          <p>${t(lang, 'email.welcome.upload')}</p>
           <ul>
-            <li>Driver's License</li>
-            <li>Ghana Card</li>
+            <li>${t(lang, 'document.dvla')}</li>
+            <li>${t(lang, 'document.ghanaCard')}</li>
           </ul>
           <p>
             <a href="https://ncstcs.vercel.app" class="button" target="_blank">
-              Go to PCRS Portal
+              ${t(lang, 'email.portal')}
             </a>
           </p>
-          <p><strong>Instructions:</strong></p>
+          <p><strong>${t(lang, 'email.instructions')}</strong></p>
           <ol>
-            <li>Log in with your username and password</li>
-            <li>Go to your <strong>Profile</strong> page</li>
-            <li>Upload your documents</li>
-            <li>Submit for verification</li>
+            <li>${t(lang, 'email.step1')}</li>
+            <li>${t(lang, 'email.step2')}</li>
+            <li>${t(lang, 'email.step3')}</li>
+            <li>${t(lang, 'email.step4')}</li>
           </ol>
-          <p>🔒 For security, never share your password. We will never ask for it via email or phone.</p>
+          <p>🔒 ${t(lang, 'email.security')}</p>
         </div>
         <div class="footer">
           <p>&copy; ${new Date().getFullYear()} Private Courier Regulatory System. All rights reserved.</p>
@@ -106,21 +120,98 @@ const generateEmailHtml = (username = 'courier_user') => {
   `;
 };
 
-const sendEmailAction = async ({ from, to, subject, text, html }) => {
-  try {
-    await transporter.sendMail({
-      from,
-      to,
-      subject,
-      text,
-      html
-    });
-    console.log(`✅ Email sent to ${to}`);
-    return { status: 200, message: "Email sent successfully", success: true };
-  } catch (err) {
-    console.error("📧 Email error:", err);
-    return { status: 500, message: "Failed to send email.", success: false };
-  }
+// `document` and `status` are codes such as "dvla" and "approved"
+const generateComplianceEmailHtml = (username = 'courier_user', document = 'dvla', status = 'pending', notes = '', isCompliant = false, lang = DEFAULT_LANGUAGE) => {
+  return `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <title>${t(lang, 'email.compliance.title')}</title>${emailStyles}
+    </head>
+    <body>
+      <div class="container">
+        <div class="header">
+          <h1>Public Courier Regulatory System (PCRS)</h1>
+        </div>
+        <div class="content">
+          <p>${t(lang, 'email.hello')} <strong>${escapeHtml(username)}</strong>,</p>
+          <p>${t(lang, 'email.compliance.body', { document: t(lang, `document.${document}`), status: t(lang, `status.${status}`) })}</p>
+          ${notes ? `<p><strong>${t(lang, 'email.compliance.notes')}</strong> ${escapeHtml(notes)}</p>` : ''}
+          <p>${t(lang, 'email.compliance.current')} <strong>${t(lang, isCompliant ? 'email.compliant' : 'email.notCompliant')}</strong></p>
+          <p>
+            <a href="https://ncstcs.vercel.app" class="button" target="_blank">
+              ${t(lang, 'email.portal')}
+            </a>
+          </p>
+        </div>
+        <div class="footer">
+          <p>&copy; ${new Date().getFullYear()} Private Courier Regulatory System. All rights reserved.</p>
+        </div>
+      </div>
+    </body>
+    </html>
+  `;
+};
+
+// `text` is the reminder already rendered for the courier (see the "expiry" and "expired" SMS templates)
+const generateExpiryEmailHtml = (username = 'courier_user', text = '', lang = DEFAULT_LANGUAGE) => {
+  return `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <title>${t(lang, 'email.expiry.title')}</title>${emailStyles}
+    </head>
+    <body>
+      <div class="container">
+        <div class="header">
+          <h1>Public Courier Regulatory System (PCRS)</h1>
+        </div>
+        <div class="content">
+          <p>${t(lang, 'email.hello')} <strong>${escapeHtml(username)}</strong>,</p>
+          <p>${escapeHtml(text)}</p>
+          <p>
+            <a href="https://ncstcs.vercel.app" class="button" target="_blank">
+              ${t(lang, 'email.portal')}
+            </a>
+          </p>
+        </div>
+        <div class="footer">
+          <p>&copy; ${new Date().getFullYear()} Private Courier Regulatory System. All rights reserved.</p>
+        </div>
+      </div>
+    </body>
+    </html>
+  `;
+};
+
+// EMAIL_PROVIDER=stub sends nothing: the email is logged, or appended to EMAIL_STUB_FILE as a JSON line
+const stubEmail = async ({ from, to, subject, body }) => {
+  const providerMessageId = `stub-${crypto.randomUUID()}`;
+  const entry = { id: providerMessageId, from, to, subject, body, sentAt: new Date().toISOString() };
+  if (process.env.EMAIL_STUB_FILE) await fs.appendFile(process.env.EMAIL_STUB_FILE, JSON.stringify(entry) + "\n");
+  else console.log(`📧 [stub email] -> ${to}: ${subject}`);
+  return { providerMessageId };
+};
+
+// Used by the outbox worker; throws when the SMTP server rejects the message
+const transmitEmail = async ({ from, to, subject, body, html }) => {
+  if (process.env.EMAIL_PROVIDER === "stub") return stubEmail({ from, to, subject, body });
+  const info = await transporter.sendMail({
+    from,
+    to,
+    subject,
+    text: body,
+    html
+  });
+  console.log(`✅ Email sent to ${to}`);
+  return { providerMessageId: info?.messageId };
+};
+
+// Queues the email; the outbox worker sends it and retries on failure
+const sendEmailAction = async ({ from, to, subject, text, html, type = "email" }) => {
+  const queued = await queueNotification({ channel: "email", type, from, to, subject, body: text, html });
+  if (!queued) return { status: 500, message: "Failed to queue email.", success: false };
+  return { status: 202, message: "Email queued", success: true };
 };
 
-export { sendEmailAction, generateEmailHtml };
\ No newline at end of file
+export { sendEmailAction, transmitEmail, generateEmailHtml, generateComplianceEmailHtml, generateExpiryEmailHtml };
\ No newline at end of file
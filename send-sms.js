@@ -1,69 +1,50 @@
 import dotenv from "dotenv";
+import { t, DEFAULT_LANGUAGE } from "./messages.js";
+import { queueNotification } from "./outbox.js";
 
 dotenv.config({ path: './.env' });
 
-export const sendSms = (name, phone) => {
-
-    const data = {
-        sender: "PCRS",
-        message: `Welcome to ${name}.\nTo complete your registration and compliance, please click on the link below and upload your documents (Driver's License and Ghana Card):\n\nhttps://ncstcs.vercel.app`,
-        recipients: [phone],
-    };
-
-    const url = 'https://sms.arkesel.com/api/v2/sms/send';
-    const options = {
-        method: 'POST',
-        headers: {
-            'Content-Type': 'application/json',
-            'api-key': process.env.SMS_API_KEY
-        },
-        body: JSON.stringify(data)
-    };
-
-    fetch(url, options)
-        .then(response => {
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
-            }
-            return response.json();
-        })
-        .then(data => {
-            console.log(data);
-        })
-        .catch(error => {
-            console.error('Error:', error);
-        });
+// Named SMS templates; the text itself lives in messages.js
+const SMS_TEMPLATES = {
+    welcome: ({ name }, lang) => t(lang, "sms.welcome", { name }),
+    // `summary` is already formatted for the recipient's audience (see courier-format.js)
+    details: ({ summary }, lang) => `${t(lang, "sms.details")}\n${summary}`,
+    // `document` and `status` are codes such as "dvla" and "approved"
+    compliance: ({ name, document, status, notes, isCompliant }, lang) => t(lang, "sms.compliance", {
+        name,
+        document: t(lang, `document.${document}`),
+        status: t(lang, `status.${status}`),
+        note: notes ? t(lang, "sms.note", { notes }) : "",
+        compliance: t(lang, isCompliant ? "yes" : "no"),
+    }),
+    otp: ({ code, minutes }, lang) => t(lang, "sms.otp", { code, minutes }),
+    // `date` is YYYY-MM-DD
+    expiry: ({ name, document, date, days }, lang) => t(lang, "sms.expiry", { name, document: t(lang, `document.${document}`), date, days }),
+    expired: ({ name, document, date }, lang) => t(lang, "sms.expired", { name, document: t(lang, `document.${document}`), date }),
+    // Registered couriers join from Update My Details, new ones at sign-up
+    agencyInvite: ({ agency, code, registered }, lang) => t(lang, registered ? "sms.agencyInvite.member" : "sms.agencyInvite", { agency, code }),
+    complaint: ({ reference }, lang) => t(lang, "sms.complaint", { reference }),
+};
+
+export const renderSms = (template, params = {}, lang = DEFAULT_LANGUAGE) => {
+    const render = SMS_TEMPLATES[template];
+    if (!render) throw new Error(`Unknown SMS template: ${template}`);
+    return render(params, lang);
 }
 
-export const sendSmsDetails = ({ name, compliance, phone, email, license, ghanaCard }, msisdn = "") => {
+// Queues the message; the outbox worker sends it through the configured provider
+export const sendTemplatedSms = (template, params, to, lang = DEFAULT_LANGUAGE) => {
+    return queueNotification({ channel: "sms", type: template, to, body: renderSms(template, params, lang) });
+}
 
-    const data = {
-        sender: "PCRS",
-        message: `Courier Details\nName: ${name}\nCompliant: ${compliance}\nPhone: ${phone}\nEmail: ${email}\nLicense: ${license}\nGhana Card: ${ghanaCard}`,
-        recipients: [msisdn !== "" ? msisdn : phone],
-    };
+export const sendSms = (name, phone, lang = DEFAULT_LANGUAGE) => {
+    return sendTemplatedSms("welcome", { name }, phone, lang);
+}
 
-    const url = 'https://sms.arkesel.com/api/v2/sms/send';
-    const options = {
-        method: 'POST',
-        headers: {
-            'Content-Type': 'application/json',
-            'api-key': process.env.SMS_API_KEY
-        },
-        body: JSON.stringify(data)
-    };
+export const sendSmsDetails = (summary, recipient, lang = DEFAULT_LANGUAGE) => {
+    return sendTemplatedSms("details", { summary }, recipient, lang);
+}
 
-    fetch(url, options)
-        .then(response => {
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
-            }
-            return response.json();
-        })
-        .then(data => {
-            console.log(data);
-        })
-        .catch(error => {
-            console.error('Error:', error);
-        });
-}
\ No newline at end of file
+export const sendComplianceSms = (details, phone, lang = DEFAULT_LANGUAGE) => {
+    return sendTemplatedSms("compliance", details, phone, lang);
+}
@@ -0,0 +1,102 @@
+// =========================
+// USSD Session Stores
+// =========================
+// Every store implements the same async interface:
+//   get(sessionID)        -> session data or undefined
+//   set(sessionID, data)  -> stores data and refreshes the TTL
+//   del(sessionID)        -> removes the session
+//   lock(sessionID)       -> waits until no other request holds the session,
+//                            resolves with a release() function
+// The USSD route holds the lock for the whole request, so two requests for
+// the same sessionID never read and write the session at the same time.
+import cache from "memory-cache";
+import crypto from "crypto";
+
+const DEFAULT_TTL_MS = 1000 * 60 * 15;
+const LOCK_MS = 1000 * 10;
+const LOCK_RETRY_MS = 50;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Process-local store (single instance only)
+export const createMemorySessionStore = ({ ttlMs = DEFAULT_TTL_MS } = {}) => {
+  const locks = new Map();
+  return {
+    get: async (sessionID) => cache.get(sessionID) ?? undefined,
+    set: async (sessionID, data) => { cache.put(sessionID, data, ttlMs); },
+    del: async (sessionID) => { cache.del(sessionID); },
+    lock: async (sessionID) => {
+      const previous = locks.get(sessionID) || Promise.resolve();
+      let release;
+      const current = new Promise((resolve) => { release = resolve; });
+      const tail = previous.then(() => current);
+      locks.set(sessionID, tail);
+      await previous;
+      return async () => {
+        release();
+        if (locks.get(sessionID) === tail) locks.delete(sessionID);
+      };
+    },
+  };
+};
+
+// Shared store for several instances; MongoDB removes expired sessions via a TTL index
+export const createMongoSessionStore = (mongoose, { ttlMs = DEFAULT_TTL_MS } = {}) => {
+  const ussdSessionSchema = new mongoose.Schema(
+    {
+      _id: { type: String },
+      data: { type: mongoose.Schema.Types.Mixed },
+      expiresAt: { type: Date, required: true },
+      lockToken: { type: String },
+      lockedUntil: { type: Date },
+    },
+    { minimize: false, versionKey: false }
+  );
+  ussdSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+  const UssdSession = mongoose.models.UssdSession || mongoose.model("UssdSession", ussdSessionSchema);
+
+  const expiry = () => new Date(Date.now() + ttlMs);
+
+  return {
+    get: async (sessionID) => {
+      const doc = await UssdSession.findById(sessionID).lean();
+      // The TTL monitor only runs once a minute, so check expiry here as well
+      if (!doc || doc.expiresAt <= new Date()) return undefined;
+      return doc.data ?? undefined;
+    },
+    set: async (sessionID, data) => {
+      await UssdSession.updateOne({ _id: sessionID }, { $set: { data, expiresAt: expiry() } }, { upsert: true });
+    },
+    del: async (sessionID) => {
+      await UssdSession.deleteOne({ _id: sessionID });
+    },
+    lock: async (sessionID) => {
+      const lockToken = crypto.randomBytes(8).toString("hex");
+      const deadline = Date.now() + LOCK_MS;
+      for (;;) {
+        const now = new Date();
+        try {
+          // Matches only an unlocked (or stale) session; when the session is locked
+          // the upsert collides with the existing _id and we wait for it to be released.
+          await UssdSession.updateOne(
+            { _id: sessionID, $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }] },
+            { $set: { lockToken, lockedUntil: new Date(now.getTime() + LOCK_MS) }, $setOnInsert: { expiresAt: expiry() } },
+            { upsert: true }
+          );
+          break;
+        } catch (err) {
+          if (err?.code !== 11000 || Date.now() > deadline) throw err;
+          await sleep(LOCK_RETRY_MS);
+        }
+      }
+      return async () => {
+        await UssdSession.updateOne({ _id: sessionID, lockToken }, { $unset: { lockToken: 1, lockedUntil: 1 } });
+      };
+    },
+  };
+};
+
+export const createSessionStore = (mongoose, { type = "memory", ttlMs = DEFAULT_TTL_MS } = {}) => {
+  if (type === "mongo") return createMongoSessionStore(mongoose, { ttlMs });
+  return createMemorySessionStore({ ttlMs });
+};
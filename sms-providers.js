@@ -0,0 +1,68 @@
+// =========================
+// SMS Providers
+// =========================
+// Every provider exposes the same interface used by the outbox worker:
+//   send({ to, body }) -> { providerMessageId }, throws if the message was not accepted
+//
+// Chosen from configuration:
+//   SMS_PROVIDER   arkesel (default) | stub
+//   SMS_SENDER_ID  sender name shown on the handset (default PCRS)
+//   SMS_API_KEY    Arkesel API key
+//   SMS_STUB_FILE  stub only: append messages to this file as JSON lines instead of the console
+import fs from "fs/promises";
+import crypto from "crypto";
+
+// A request that hangs would hold up the outbox worker, so it is cut off after `timeoutMs`
+export const createArkeselProvider = ({ apiKey, senderId = "PCRS", callbackUrl, url = "https://sms.arkesel.com/api/v2/sms/send", timeoutMs = 10000 }) => ({
+  name: "arkesel",
+  send: async ({ to, body }) => {
+    const data = {
+      sender: senderId,
+      message: body,
+      recipients: [to],
+    };
+    if (callbackUrl) data.callback_url = callbackUrl;
+
+    const response = await fetch(url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "api-key": apiKey
+      },
+      body: JSON.stringify(data),
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+    const result = await response.json();
+    if (result.status !== "success") {
+      throw new Error(`Arkesel error: ${result.message || JSON.stringify(result)}`);
+    }
+    return { providerMessageId: result.data?.[0]?.id };
+  },
+});
+
+// Sends nothing; for local development and CI
+export const createStubProvider = ({ senderId = "PCRS", file } = {}) => ({
+  name: "stub",
+  send: async ({ to, body }) => {
+    const providerMessageId = `stub-${crypto.randomUUID()}`;
+    const entry = { id: providerMessageId, sender: senderId, to, body, sentAt: new Date().toISOString() };
+    if (file) await fs.appendFile(file, JSON.stringify(entry) + "\n");
+    else console.log(`📨 [stub sms] ${senderId} -> ${to}\n${body}`);
+    return { providerMessageId };
+  },
+});
+
+export const createSmsProvider = (env = process.env) => {
+  const senderId = env.SMS_SENDER_ID || "PCRS";
+  switch (env.SMS_PROVIDER || "arkesel") {
+    case "stub":
+      return createStubProvider({ senderId, file: env.SMS_STUB_FILE });
+    case "arkesel":
+      return createArkeselProvider({ apiKey: env.SMS_API_KEY, senderId, callbackUrl: env.SMS_DELIVERY_CALLBACK_URL });
+    default:
+      throw new Error(`Unknown SMS_PROVIDER: ${env.SMS_PROVIDER}`);
+  }
+};
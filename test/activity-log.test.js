@@ -0,0 +1,14 @@
+// Redaction of secrets in activity log details
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { redact } from "../activity-log.js";
+
+test("secrets are redacted, nested ones too", () => {
+  const details = redact({ password: "secret1", pinHash: "$2a$10$abc", nested: { otp: "123456", token: "t" } });
+  assert.deepEqual(details, { password: "[redacted]", pinHash: "[redacted]", nested: { otp: "[redacted]", token: "[redacted]" } });
+});
+
+test("audit fields that only look like secrets are kept", () => {
+  const details = { apiKeyId: "665f1c2e9b1d4a0012345678", code: "ACME", queryType: "verificationCode" };
+  assert.deepEqual(redact(details), details);
+});
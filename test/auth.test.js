@@ -0,0 +1,115 @@
+// HTTP sign-in, role checks and what each caller sees in a lookup. Staff and
+// agencies are seeded straight into the test database, as there is no route
+// that creates the first admin.
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import bcrypt from "bcryptjs";
+import mongoose from "mongoose";
+import { startTestServer } from "./test-server.js";
+import { Agency, User } from "../models.js";
+
+const PASSWORD = "secret123";
+
+let server;
+const tokens = {};
+const keys = {};
+
+const request = async (method, route, { token, apiKey, body } = {}) => {
+  const headers = {};
+  if (token) headers.authorization = `Bearer ${token}`;
+  if (apiKey) headers["x-api-key"] = apiKey;
+  if (body) headers["content-type"] = "application/json";
+  const response = await fetch(`${server.url}${route}`, { method, headers, body: body && JSON.stringify(body) });
+  return { status: response.status, body: await response.json().catch(() => null) };
+};
+
+const login = async (username, password = PASSWORD) => request("POST", "/auth/login", { body: { username, password } });
+const lookup = async (id, auth) => request("GET", `/courier/lookup?id=${id}`, auth);
+
+before(async () => {
+  server = await startTestServer();
+  await mongoose.connect(server.mongoUri);
+  const password = await bcrypt.hash(PASSWORD, 10);
+  const [swift, rapid] = await Agency.create([{ name: "Swift Riders", code: "SWIFT" }, { name: "Rapid Go", code: "RAPID" }]);
+  await User.create([
+    { username: "admin", password, role: "admin" },
+    { username: "operator", password, role: "operator" },
+    {
+      username: "kofi",
+      password,
+      name: "Kofi Mensah Boateng",
+      phone: "+233241000101",
+      email: "kofi@example.com",
+      dvlaNumber: "DL11111111",
+      ghanaCardNumber: "GHA-111111111-1",
+      complaintCount: 1,
+      agency: swift._id,
+    },
+    { username: "efua", password, name: "Efua Asante", phone: "+233241000102", dvlaNumber: "DL22222222", agency: rapid._id },
+  ]);
+  for (const username of ["admin", "operator", "kofi", "efua"]) tokens[username] = (await login(username)).body.token;
+  for (const code of ["SWIFT", "RAPID"]) {
+    const { body } = await request("POST", "/auth/api-keys", { token: tokens.admin, body: { name: code, role: "agency", agencyCode: code } });
+    keys[code] = body.key;
+  }
+});
+after(async () => {
+  await mongoose.disconnect();
+  await server?.stop();
+});
+
+test("login returns a token for the right password only", async () => {
+  const ok = await login("operator");
+  assert.equal(ok.status, 200);
+  assert.equal(ok.body.role, "operator");
+  assert.ok(ok.body.token);
+  assert.equal((await login("operator", "wrong-password")).status, 401);
+  assert.equal((await login("nobody")).status, 401);
+  assert.equal((await request("POST", "/auth/login", { body: { username: "operator" } })).status, 400);
+});
+
+test("staff routes need credentials and the right role", async () => {
+  assert.equal((await request("GET", "/couriers")).status, 401);
+  assert.equal((await request("GET", "/couriers", { token: "not-a-token" })).status, 401);
+  assert.equal((await request("GET", "/couriers", { apiKey: "pcrs_unknown" })).status, 401);
+  assert.equal((await request("GET", "/couriers", { token: tokens.kofi })).status, 403);
+  assert.equal((await request("GET", "/couriers", { apiKey: keys.SWIFT })).status, 403);
+  assert.equal((await request("GET", "/auth/api-keys", { token: tokens.operator })).status, 403);
+  assert.equal((await request("GET", "/couriers", { token: tokens.operator })).status, 200);
+});
+
+test("agency keys only reach their own riders", async () => {
+  const own = await request("GET", "/agency/couriers", { apiKey: keys.SWIFT });
+  assert.equal(own.status, 200);
+  assert.deepEqual(own.body.items.map((item) => item.username), ["kofi"]);
+  // ?agency= is only for admins; an agency key stays on its own agency
+  const other = await request("GET", "/agency/couriers?agency=RAPID", { apiKey: keys.SWIFT });
+  assert.deepEqual(other.body.items.map((item) => item.username), ["kofi"]);
+});
+
+test("a lookup without credentials shows the public summary", async () => {
+  const { status, body } = await lookup("DL11111111");
+  assert.equal(status, 200);
+  assert.deepEqual(body, { name: "Kofi M. B.", isCompliant: false, dvlaNumber: "*******111" });
+});
+
+test("agency keys see more of their own riders and the public summary of others", async () => {
+  const own = await lookup("DL11111111", { apiKey: keys.SWIFT });
+  assert.equal(own.body.name, "Kofi Mensah Boateng");
+  assert.equal(own.body.dvlaNumber, "DL11111111");
+  assert.equal(own.body.phone, "**********101");
+  assert.equal(own.body.email, undefined);
+  const other = await lookup("DL22222222", { apiKey: keys.SWIFT });
+  assert.deepEqual(other.body, { name: "Efua A.", isCompliant: false, dvlaNumber: "*******222" });
+});
+
+test("staff see complaints, a courier sees their own record in full and others like the public", async () => {
+  const staff = await lookup("DL11111111", { token: tokens.operator });
+  assert.equal(staff.body.email, "kofi@example.com");
+  assert.equal(staff.body.complaintCount, 1);
+  const self = await lookup("DL11111111", { token: tokens.kofi });
+  assert.equal(self.body.ghanaCardNumber, "GHA-111111111-1");
+  assert.equal(self.body.complaintCount, undefined);
+  const other = await lookup("DL11111111", { token: tokens.efua });
+  assert.deepEqual(other.body, { name: "Kofi M. B.", isCompliant: false, dvlaNumber: "*******111" });
+});
@@ -0,0 +1,68 @@
+// What each audience sees of a courier
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { maskValue, shortName, formatCourier } from "../courier-format.js";
+
+const courier = {
+  username: "kwame",
+  name: "Kwame Mensah Asante",
+  phone: "+233241000001",
+  email: "kwame@example.com",
+  dvlaNumber: "DL12345678",
+  ghanaCardNumber: "GHA-123456789-0",
+  isCompliant: true,
+  role: "courier",
+  complaintCount: 2,
+  identityVerification: { status: "verified", score: 100 },
+};
+
+test("maskValue keeps only the last characters", () => {
+  assert.equal(maskValue("DL12345678"), "*******678");
+  assert.equal(maskValue("GHA-123456789-0", 2), "*************-0");
+  assert.equal(maskValue("AB"), "**");
+  assert.equal(maskValue(undefined), "");
+});
+
+test("shortName keeps the first name and initials", () => {
+  assert.equal(shortName("Kwame Mensah Asante"), "Kwame M. A.");
+  assert.equal(shortName("  ama  "), "ama");
+  assert.equal(shortName(""), "");
+});
+
+test("the public and other couriers see a masked summary", () => {
+  const expected = { name: "Kwame M. A.", isCompliant: true, dvlaNumber: "*******678" };
+  assert.deepEqual(formatCourier(courier), expected);
+  assert.deepEqual(formatCourier(courier, "courier"), expected);
+  assert.deepEqual(formatCourier(courier, "unknown"), expected);
+});
+
+test("agencies see their riders' details with the phone and Ghana Card masked", () => {
+  const details = formatCourier(courier, "agency");
+  assert.equal(details.name, "Kwame Mensah Asante");
+  assert.equal(details.dvlaNumber, "DL12345678");
+  assert.equal(details.phone, "**********001");
+  assert.equal(details.ghanaCardNumber, "*************-0");
+  assert.equal(details.email, undefined);
+  assert.equal(details.complaintCount, undefined);
+});
+
+test("staff also see complaints and the registry check; the courier sees the full record", () => {
+  for (const audience of ["operator", "admin"]) {
+    const details = formatCourier(courier, audience);
+    assert.equal(details.email, "kwame@example.com");
+    assert.equal(details.complaintCount, 2);
+    assert.equal(details.identityStatus, "verified");
+    assert.equal(details.identityScore, 100);
+  }
+  const self = formatCourier(courier, "self");
+  assert.equal(self.ghanaCardNumber, "GHA-123456789-0");
+  assert.equal(self.complaintCount, undefined);
+});
+
+test("every audience is told about a suspension, and empty fields are left out", () => {
+  const suspended = { ...courier, email: "", suspendedAt: new Date() };
+  assert.equal(formatCourier(suspended).suspended, true);
+  assert.equal(formatCourier(suspended, "admin").suspended, true);
+  assert.ok(!("email" in formatCourier(suspended, "admin")));
+  assert.ok(!("suspended" in formatCourier(courier, "admin")));
+});
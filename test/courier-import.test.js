@@ -0,0 +1,22 @@
+// CSV parsing for bulk imports
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseCsv } from "../courier-import.js";
+
+test("parseCsv maps each row onto the header", () => {
+  assert.deepEqual(parseCsv("name,phone\nKofi Mensah,0241000001\nAma Owusu,0241000002\n"), [
+    { name: "Kofi Mensah", phone: "0241000001" },
+    { name: "Ama Owusu", phone: "0241000002" },
+  ]);
+});
+
+test("parseCsv handles quotes, escaped quotes and line breaks inside quotes", () => {
+  const [row] = parseCsv('name,note\r\n"Mensah, Kofi","said ""hi""\nthen left"\r\n');
+  assert.deepEqual(row, { name: "Mensah, Kofi", note: 'said "hi"\nthen left' });
+});
+
+test("parseCsv skips blank lines, trims the header and fills missing cells", () => {
+  assert.deepEqual(parseCsv(" name , phone \n\nKofi\n\n"), [{ name: "Kofi", phone: "" }]);
+  assert.deepEqual(parseCsv("name,phone"), []);
+  assert.deepEqual(parseCsv(""), []);
+});
@@ -0,0 +1,56 @@
+// Name matching and registry checks against the fixture registries (IDENTITY_PROVIDER=stub)
+import { test, before, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import { createStubProvider } from "../identity-providers.js";
+import { nameScore, setIdentityProvider, verifyIdentity } from "../identity-verification.js";
+
+// No database here: saving the result fails at once (quietly) and verifyIdentity carries on
+before(() => {
+  mongoose.set("bufferCommands", false);
+  mock.method(console, "error", () => {});
+  setIdentityProvider(createStubProvider());
+});
+
+const courier = (fields) => ({ _id: new mongoose.Types.ObjectId(), phone: "+233241000001", ...fields });
+
+test("nameScore ignores order, case and accents", () => {
+  assert.equal(nameScore("Kofi Mensah", "MENSAH KOFI"), 1);
+  assert.equal(nameScore("Kwabena Adjéi", "kwabena adjei"), 1);
+  assert.equal(nameScore("Kofi Mensah", "Yaw Boateng"), 0);
+  assert.equal(nameScore("", "Kofi Mensah"), 0);
+});
+
+test("nameScore counts an initial as the word it abbreviates", () => {
+  assert.equal(nameScore("Ama Serwaa Owusu", "AMA S. OWUSU"), 1);
+  assert.equal(nameScore("Ama S Owusu", "Ama Serwaa Owusu"), 1);
+  // An initial only stands for one word, and only one with the same first letter
+  assert.equal(nameScore("Ama Serwaa Sarpong Owusu", "AMA S. OWUSU"), 6 / 7);
+  assert.equal(nameScore("Ama Kessewa Owusu", "AMA S. OWUSU"), 2 / 3);
+});
+
+test("a courier matching both registries is verified", async () => {
+  const result = await verifyIdentity(courier({
+    name: "Ama Serwaa Owusu",
+    dateOfBirth: new Date("1988-11-02"),
+    dvlaNumber: "DL67890",
+    ghanaCardNumber: "GHA-987654321-02",
+  }));
+  assert.equal(result.status, "verified");
+  assert.equal(result.score, 100);
+  assert.equal(result.provider, "stub");
+  assert.deepEqual(result.documents.map((d) => d.documentType).sort(), ["dvla", "ghanaCard"]);
+});
+
+test("a different date of birth is a mismatch", async () => {
+  const result = await verifyIdentity(courier({ name: "Kofi Mensah", dateOfBirth: "1990-01-01", dvlaNumber: "DL12345" }));
+  assert.equal(result.status, "mismatch");
+  assert.equal(result.documents[0].dobMatch, false);
+});
+
+test("a suspended licence is a mismatch and an unknown one is not found", async () => {
+  const suspended = await verifyIdentity(courier({ name: "Yaw Boateng", dateOfBirth: "1995-07-30", dvlaNumber: "DL24680" }));
+  assert.equal(suspended.status, "mismatch");
+  const unknown = await verifyIdentity(courier({ name: "Yaw Boateng", dvlaNumber: "DL00000" }));
+  assert.equal(unknown.status, "not_found");
+});
@@ -0,0 +1,112 @@
+// =========================
+// Test Server
+// =========================
+// Starts app.js in a child process against an in-memory MongoDB, with SMS,
+// email and the identity registries stubbed, so the tests need no network.
+// Sent SMS and emails are appended as JSON lines to files the tests can read.
+import { spawn } from "child_process";
+import fs from "fs/promises";
+import net from "net";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import { MongoMemoryServer } from "mongodb-memory-server";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const START_TIMEOUT_MS = 30000;
+
+const freePort = () => new Promise((resolve, reject) => {
+  const server = net.createServer();
+  server.on("error", reject);
+  server.listen(0, "127.0.0.1", () => {
+    const { port } = server.address();
+    server.close(() => resolve(port));
+  });
+});
+
+const waitForApp = async (url, child) => {
+  const deadline = Date.now() + START_TIMEOUT_MS;
+  while (Date.now() < deadline) {
+    if (child.exitCode !== null) throw new Error(`app.js exited with code ${child.exitCode}`);
+    try {
+      if ((await fetch(url)).ok) return;
+    } catch {
+      // Not listening yet
+    }
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+  throw new Error(`app.js did not start within ${START_TIMEOUT_MS / 1000}s`);
+};
+
+// Reads a stub file written by the SMS or email provider
+const readLines = async (file) => {
+  const text = await fs.readFile(file, "utf8").catch(() => "");
+  return text.split("\n").filter(Boolean).map((line) => JSON.parse(line));
+};
+
+// Resolves to { url, ussdUrl, mongoUri, sms(), emails(), stop() }; `env` adds or overrides settings.
+// Tests seed accounts the API cannot create (such as the first admin) through `mongoUri`.
+export const startTestServer = async (env = {}) => {
+  const mongo = await MongoMemoryServer.create();
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "pcrs-test-"));
+  const port = await freePort();
+  const files = { sms: path.join(dir, "sms.jsonl"), email: path.join(dir, "email.jsonl") };
+  let output = "";
+  const child = spawn(process.execPath, ["app.js"], {
+    cwd: ROOT,
+    env: {
+      ...process.env,
+      PORT: String(port),
+      MONGODB_URI: mongo.getUri(),
+      JWT_SECRET: "test-secret",
+      SMS_PROVIDER: "stub",
+      SMS_STUB_FILE: files.sms,
+      EMAIL_PROVIDER: "stub",
+      EMAIL_STUB_FILE: files.email,
+      IDENTITY_PROVIDER: "stub",
+      SESSION_STORE: "memory",
+      OUTBOX_POLL_MS: "100",
+      ...env,
+    },
+    stdio: ["ignore", "pipe", "pipe"],
+  });
+  // Kept for the error message if the app fails to start
+  child.stdout.on("data", (chunk) => (output += chunk));
+  child.stderr.on("data", (chunk) => (output += chunk));
+
+  const stop = async () => {
+    if (child.exitCode === null) {
+      const exited = new Promise((resolve) => child.once("exit", resolve));
+      child.kill();
+      await exited;
+    }
+    await mongo.stop();
+    await fs.rm(dir, { recursive: true, force: true });
+  };
+
+  const url = `http://127.0.0.1:${port}`;
+  try {
+    await waitForApp(url, child);
+  } catch (err) {
+    await stop();
+    throw new Error(`${err.message}\n${output}`);
+  }
+  return {
+    url,
+    ussdUrl: `${url}/ussd`,
+    mongoUri: mongo.getUri(),
+    sms: () => readLines(files.sms),
+    emails: () => readLines(files.email),
+    stop,
+  };
+};
+
+// Polls `read` until `predicate` finds an entry (the outbox worker sends in the background)
+export const waitFor = async (read, predicate, timeoutMs = 5000) => {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const found = (await read()).find(predicate);
+    if (found || Date.now() > deadline) return found;
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+};
@@ -0,0 +1,19 @@
+// Paging of long replies
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { splitText } from "../ussd-engine.js";
+
+test("splitText breaks at line ends first", () => {
+  assert.deepEqual(splitText("1. One\n2. Two\n3. Three", 14), ["1. One\n2. Two", "3. Three"]);
+});
+
+test("splitText breaks long lines at spaces, and mid-word only when it must", () => {
+  assert.deepEqual(splitText("alpha beta gamma delta", 11), ["alpha beta", "gamma delta"]);
+  assert.deepEqual(splitText("abcdefghijkl", 5), ["abcde", "fghij", "kl"]);
+});
+
+test("splitText keeps short text whole and never returns a longer page", () => {
+  assert.deepEqual(splitText("short", 20), ["short"]);
+  const text = "Name: Kwame Mensah Asante\nLicence: DL12345678\nStatus: compliant since the last review";
+  for (const page of splitText(text, 30)) assert.ok(page.length <= 30, page);
+});
@@ -0,0 +1,32 @@
+// Request parsing for each USSD aggregator
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { arkesel, africasTalking, hubtel } from "../ussd-gateways.js";
+
+test("arkesel requests are used as they are", () => {
+  assert.deepEqual(
+    arkesel.parse({ sessionID: "s1", userID: "u", msisdn: "233241000001", newSession: true, userData: "*920#" }),
+    { sessionID: "s1", msisdn: "233241000001", newSession: true, input: "*920#" }
+  );
+});
+
+test("africa's talking sends every input so far; only the last one is new", () => {
+  const first = africasTalking.parse({ sessionId: "a1", phoneNumber: "+233241000001", serviceCode: "*920#", text: "" });
+  assert.deepEqual(first, { sessionID: "at:a1", msisdn: "+233241000001", newSession: true, input: "" });
+  const later = africasTalking.parse({ sessionId: "a1", phoneNumber: "+233241000001", text: "1*2*DL12345" });
+  assert.equal(later.newSession, false);
+  assert.equal(later.input, "DL12345");
+});
+
+test("hubtel initiations, responses and releases", () => {
+  const start = hubtel.parse({ Type: "Initiation", Message: "*920#", Mobile: "233241000001", SessionId: "h1" });
+  assert.deepEqual(start, { sessionID: "hubtel:h1", msisdn: "233241000001", newSession: true, input: "" });
+  assert.equal(hubtel.parse({ Type: "Response", Message: "2", Mobile: "233241000001", SessionId: "h1" }).input, "2");
+  assert.deepEqual(hubtel.parse({ Type: "Release", SessionId: "h1" }), { sessionID: "hubtel:h1", closed: true });
+  assert.deepEqual(hubtel.parse({ Type: "Timeout", SessionId: "h1" }), { sessionID: "hubtel:h1", closed: true });
+});
+
+test("a request without a session id has none after parsing", () => {
+  assert.ok(!africasTalking.parse({ text: "" }).sessionID);
+  assert.ok(!hubtel.parse({ Type: "Initiation" }).sessionID);
+});
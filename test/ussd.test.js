@@ -0,0 +1,53 @@
+// End-to-end USSD tests: each scenario in scenarios/ is replayed against the
+// app running on an in-memory MongoDB. Scenarios run in file order and may
+// depend on the couriers registered by earlier ones.
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import { startTestServer, waitFor } from "./test-server.js";
+import { runScenario, loadScenario, formatFailure } from "../ussd-scenarios.js";
+import { createSimulator } from "../ussd-simulator.js";
+
+const SCENARIO_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "../scenarios");
+const scenarioFiles = (await fs.readdir(SCENARIO_DIR)).filter((file) => file.endsWith(".json")).sort();
+
+let server;
+before(async () => {
+  server = await startTestServer();
+});
+after(async () => {
+  await server?.stop();
+});
+
+for (const file of scenarioFiles) {
+  test(`scenario ${file}`, async () => {
+    const result = await runScenario(await loadScenario(path.join(SCENARIO_DIR, file)), { url: server.ussdUrl });
+    assert.ok(result.passed, `${result.name}\n${result.failures.map(formatFailure).join("\n")}`);
+  });
+}
+
+test("the new courier gets a welcome SMS and email", async () => {
+  const sms = await waitFor(server.sms, (message) => message.to === "+233241000001" && message.body.includes("Ama"));
+  assert.ok(sms, "no welcome SMS");
+  const email = await waitFor(server.emails, (message) => message.to === "ama@example.com");
+  assert.ok(email, "no welcome email");
+});
+
+test("the lookup result is texted to the caller", async () => {
+  const sms = await waitFor(server.sms, (message) => message.to === "0245000002" && message.body.includes("Ama S. O."));
+  assert.ok(sms, "no lookup SMS");
+});
+
+test("the HTTP lookup shows the same public details", async () => {
+  const response = await fetch(`${server.url}/courier/lookup?id=DL67890`);
+  assert.equal(response.status, 200);
+  assert.deepEqual(await response.json(), { name: "Ama S. O.", isCompliant: false, dvlaNumber: "****890" });
+});
+
+test("every reply fits on one handset screen", async () => {
+  const simulator = createSimulator({ url: server.ussdUrl, msisdn: "0241000001" });
+  const replies = [await simulator.dial(), await simulator.send("2468"), await simulator.send("1")];
+  for (const { message } of replies) assert.ok(message.length <= 182, `${message.length} characters:\n${message}`);
+});
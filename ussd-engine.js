@@ -0,0 +1,242 @@
+// =========================
+// USSD Menu Engine
+// =========================
+// Screens are declared once and the engine takes care of the session stack,
+// Back/Home navigation, retries on invalid input and ending sessions.
+//
+// A screen is an object with:
+//   prompt   - text or (state) => text; menus use `title` + `options` instead
+//   title    - menu heading, text or (state) => text
+//   options  - [{ key, label, next, action, when }] for menu screens; label
+//              may be text or (state) => text
+//   parse    - (input) => value, defaults to trimming the input
+//   validate - (value, state) => error prompt to retry with, or nothing
+//   field    - key of state.data the parsed value is stored under
+//   action   - (value, state) => side effects; may return a transition
+//   next     - transition used when `action` returns none
+//
+// `state` is { ctx, data }: ctx lives for the whole session (msisdn, login),
+// data belongs to the current flow and is snapshotted on every screen so Back
+// restores what was entered before.
+//
+// Transitions:
+//   "screen.id" or { next, data }  - show another screen
+//   { retry: message }             - stay on this screen
+//   { back: n, message }           - drop n screens
+//   { home: true, message }        - start again from the home menu
+//   { push: [{ screen, data }] }   - show several screens at once (last one is displayed)
+//   { end: message }               - close the session
+//
+// `translate(ctx, key)` supplies the engine's own texts ("engine.invalidChoice",
+// "engine.unavailable", "engine.more") in the caller's language.
+//
+// Replies longer than `pageLength` characters are split into pages ending in
+// "#. More"; "#" shows the next page and the rest are kept in the session.
+// While a menu is paged, any other input is handled by the menu as usual.
+// `pageLength` defaults to 182, the longest screen most handsets show.
+//
+// `onEvent(event, { ctx, screen })` is told about "session_start", "screen"
+// (a screen was shown) and "validation_failed". User input is never passed on.
+const NAV_HOME = "0";
+const NAV_BACK = "9";
+const NAV_MORE = "#";
+const ENGINE_TEXT = {
+  "engine.invalidChoice": "Invalid choice.",
+  "engine.unavailable": "Service temporarily unavailable. Try later.",
+  "engine.more": "More",
+};
+
+// Splits text into chunks of at most `size` characters, breaking at line ends
+// and then at spaces where possible
+export const splitText = (text, size) => {
+  const pages = [];
+  let page = "";
+  const flush = () => {
+    if (page.trim()) pages.push(page.replace(/\n+$/, ""));
+    page = "";
+  };
+  for (const line of text.split("\n")) {
+    const candidate = page ? `${page}\n${line}` : line;
+    if (candidate.length <= size) {
+      page = candidate;
+      continue;
+    }
+    flush();
+    let rest = line;
+    while (rest.length > size) {
+      const cut = rest.lastIndexOf(" ", size);
+      const at = cut > 0 ? cut : size;
+      pages.push(rest.slice(0, at));
+      rest = rest.slice(at).trimStart();
+    }
+    page = rest;
+  }
+  flush();
+  return pages.length ? pages : [text];
+};
+
+const resolve = (value, ...args) => (typeof value === "function" ? value(...args) : value);
+
+export const createUssdEngine = ({
+  screens,
+  sessions,
+  start,
+  home,
+  translate = (ctx, key) => ENGINE_TEXT[key],
+  onEvent = () => {},
+  pageLength = 182
+}) => {
+  const emit = (event, payload) => {
+    try {
+      onEvent(event, payload);
+    } catch (err) {
+      console.error(`USSD event error (${event}):`, err?.message || err);
+    }
+  };
+
+  const visibleOptions = (screen, state) => screen.options.filter((o) => !o.when || o.when(state));
+
+  const render = async (id, state) => {
+    const screen = screens[id];
+    if (!screen) throw new Error(`Unknown USSD screen: ${id}`);
+    if (!screen.options) return resolve(screen.prompt, state);
+    const title = await resolve(screen.title, state);
+    const lines = visibleOptions(screen, state).map((o) => `${o.key}. ${resolve(o.label, state)}`);
+    return [title, ...lines].filter(Boolean).join("\n");
+  };
+
+  // Screens stacked below a pushed one are never displayed, so they are not reported
+  const enter = async (session, screen, data, { shown = true } = {}) => {
+    const prompt = await render(screen, { ctx: session.ctx, data });
+    session.stack.push({ screen, data, prompt, message: prompt });
+    if (shown) emit("screen", { ctx: session.ctx, screen });
+    return prompt;
+  };
+
+  const goHome = async (session, message) => {
+    session.stack = [];
+    const prompt = await enter(session, home(session.ctx), {});
+    return message ? `${message}\n${prompt}` : prompt;
+  };
+
+  const apply = async (session, transition, state) => {
+    const t = typeof transition === "string" ? { next: transition } : (transition || {});
+    const top = session.stack[session.stack.length - 1];
+    if (t.end !== undefined) return { message: t.end, continueSession: false };
+    if (t.home) return { message: await goHome(session, t.message), continueSession: true };
+    if (t.retry !== undefined) {
+      top.message = t.retry;
+      return { message: t.retry, continueSession: true };
+    }
+    if (t.back) {
+      session.stack.splice(Math.max(1, session.stack.length - t.back));
+      const prev = session.stack[session.stack.length - 1];
+      prev.message = t.message || prev.prompt;
+      return { message: prev.message, continueSession: true };
+    }
+    if (t.push) {
+      let message = "";
+      for (const [i, item] of t.push.entries()) {
+        message = await enter(session, item.screen, item.data || {}, { shown: i === t.push.length - 1 });
+      }
+      return { message, continueSession: true };
+    }
+    if (t.next) {
+      const message = await enter(session, t.next, { ...state.data, ...t.data });
+      return { message, continueSession: true };
+    }
+    throw new Error(`Screen ${top.screen} produced no transition`);
+  };
+
+  const step = async (session, input) => {
+    const top = session.stack[session.stack.length - 1];
+    const screen = screens[top.screen];
+
+    // Navigation works the same on every screen
+    if (input === NAV_HOME) return { message: await goHome(session), continueSession: true };
+    if (input === NAV_BACK) return apply(session, { back: 1 }, null);
+
+    const state = { ctx: session.ctx, data: { ...top.data } };
+    if (screen.options) {
+      const option = visibleOptions(screen, state).find((o) => o.key === input);
+      if (!option) return apply(session, { retry: `${translate(session.ctx, "engine.invalidChoice")}\n${top.prompt}` }, state);
+      const transition = (option.action && await option.action(state)) || option.next;
+      return apply(session, transition, state);
+    }
+
+    const value = screen.parse ? screen.parse(input) : input.trim();
+    const error = screen.validate && await screen.validate(value, state);
+    if (error) {
+      emit("validation_failed", { ctx: session.ctx, screen: top.screen });
+      return apply(session, { retry: error }, state);
+    }
+    if (screen.field) state.data[screen.field] = value;
+    const transition = (screen.action && await screen.action(value, state)) || await resolve(screen.next, value, state);
+    return apply(session, transition, state);
+  };
+
+  // Keeps every reply within one USSD screen; the pages after the first wait in the session
+  const paginate = (session, reply) => {
+    delete session.pages;
+    if (reply.message.length <= pageLength) return reply;
+    const more = `\n${NAV_MORE}. ${translate(session.ctx, "engine.more")}`;
+    const [first, ...rest] = splitText(reply.message, pageLength - more.length);
+    if (!rest.length) return reply;
+    // The last page is sent without the "More" line, so it may use the full length
+    session.pages = { items: rest, continueSession: reply.continueSession };
+    return { message: first + more, continueSession: true };
+  };
+
+  const nextPage = (session) => {
+    const { items, continueSession } = session.pages;
+    const [message, ...rest] = items;
+    if (!rest.length) {
+      delete session.pages;
+      return { message, continueSession };
+    }
+    session.pages.items = rest;
+    return { message: `${message}\n${NAV_MORE}. ${translate(session.ctx, "engine.more")}`, continueSession: true };
+  };
+
+  // Handles one gateway request; replies with { message, continueSession }
+  const handle = async ({ sessionID, msisdn, newSession, input }) => {
+    const release = await sessions.lock(sessionID);
+    let session;
+    try {
+      session = newSession ? undefined : await sessions.get(sessionID);
+      let reply;
+      if (!session) {
+        session = { ctx: { msisdn, sessionID }, stack: [] };
+        await start(session.ctx);
+        emit("session_start", { ctx: session.ctx });
+        reply = paginate(session, { message: await goHome(session), continueSession: true });
+      } else if (session.pages && ((input ?? "").toString().trim() === NAV_MORE || !session.pages.continueSession)) {
+        // Once the flow has ended any input shows the next page
+        reply = nextPage(session);
+      } else {
+        reply = paginate(session, await step(session, (input ?? "").toString()));
+      }
+      if (reply.continueSession) await sessions.set(sessionID, session);
+      else await sessions.del(sessionID);
+      return reply;
+    } catch (err) {
+      console.error("USSD Error:", err?.message || err);
+      await sessions.del(sessionID).catch(() => {});
+      return { message: translate(session?.ctx || { msisdn }, "engine.unavailable"), continueSession: false };
+    } finally {
+      await release();
+    }
+  };
+
+  // The gateway ended the session (user hung up or it timed out)
+  const close = async (sessionID) => {
+    const release = await sessions.lock(sessionID);
+    try {
+      await sessions.del(sessionID);
+    } finally {
+      await release();
+    }
+  };
+
+  return { handle, close };
+};
@@ -0,0 +1,80 @@
+// =========================
+// USSD Gateway Adapters
+// =========================
+// Each aggregator posts its own request shape and expects its own reply. An
+// adapter turns the request into the engine's input
+//   { sessionID, msisdn, newSession, input }  (or { sessionID, closed: true }
+//   when the gateway reports that the session was ended on the handset)
+// and sends the engine's { message, continueSession } back in the gateway's format.
+//
+// Session ids from the newer gateways are prefixed so two aggregators can never
+// share a session; Arkesel ids are used as-is so live sessions survive upgrades.
+
+// Arkesel: JSON { sessionID, userID, newSession, msisdn, userData }
+export const arkesel = {
+  name: "arkesel",
+  parse: (body) => ({
+    sessionID: body.sessionID,
+    msisdn: body.msisdn,
+    newSession: !!body.newSession,
+    input: body.userData,
+  }),
+  reply: (res, body, { message, continueSession }) => {
+    res.status(200).json({ sessionID: body.sessionID, userID: body.userID, message, continueSession, msisdn: body.msisdn });
+  },
+};
+
+// Africa's Talking: form post { sessionId, phoneNumber, serviceCode, text }.
+// `text` is every input of the session joined with "*" ("" on the first request),
+// so only the last entry is new. Replies are plain text starting with CON or END.
+export const africasTalking = {
+  name: "africastalking",
+  parse: (body) => {
+    const text = (body.text ?? "").toString();
+    return {
+      sessionID: body.sessionId && `at:${body.sessionId}`,
+      msisdn: body.phoneNumber,
+      newSession: text === "",
+      input: text.split("*").pop(),
+    };
+  },
+  reply: (res, body, { message, continueSession }) => {
+    res.status(200).type("text/plain").send(`${continueSession ? "CON" : "END"} ${message}`);
+  },
+};
+
+// Hubtel: JSON { Type, Message, Mobile, SessionId, ServiceCode, Operator, Sequence }.
+// Type is "Initiation" for a new session (Message holds the dialled code),
+// "Response" for user input and "Release"/"Timeout" when the session is over.
+export const hubtel = {
+  name: "hubtel",
+  parse: (body) => {
+    const sessionID = body.SessionId && `hubtel:${body.SessionId}`;
+    const type = (body.Type || "").toString().toLowerCase();
+    if (type === "release" || type === "timeout") return { sessionID, closed: true };
+    return {
+      sessionID,
+      msisdn: body.Mobile,
+      newSession: type === "initiation",
+      input: type === "initiation" ? "" : body.Message,
+    };
+  },
+  reply: (res, body, { message, continueSession }) => {
+    res.status(200).json({ Type: continueSession ? "Response" : "Release", Message: message });
+  },
+};
+
+export const GATEWAYS = { arkesel, africastalking: africasTalking, hubtel };
+
+// Express handler running the shared USSD engine behind one gateway
+export const gatewayHandler = (engine, gateway) => async (req, res) => {
+  const body = req.body || {};
+  const request = gateway.parse(body);
+  if (!request.sessionID) return res.status(400).json({ error: 'Missing sessionID' });
+  if (request.closed) {
+    await engine.close(request.sessionID);
+    return gateway.reply(res, body, { message: "", continueSession: false });
+  }
+  const { sessionID, msisdn, newSession, input } = request;
+  return gateway.reply(res, body, await engine.handle({ sessionID, msisdn, newSession, input }));
+};
@@ -0,0 +1,734 @@
+// =========================
+// USSD Screens
+// =========================
+// Every screen of the USSD service, run by ussd-engine.js. New menus are
+// added here; the /ussd route does not need to change.
+import bcrypt from "bcryptjs";
+import { User, RegistrationDraft, Agency } from "./models.js";
+import { sendEmailAction, generateEmailHtml } from "./send-email.js";
+import { sendSms, sendSmsDetails, sendTemplatedSms } from "./send-sms.js";
+import { formatCourier, courierSummary } from "./courier-format.js";
+import { t, LANGUAGES, DEFAULT_LANGUAGE, isLanguage } from "./messages.js";
+import { logActivity } from "./activity-log.js";
+import { issueOtp, verifyOtp } from "./otp.js";
+import { checkLookup, recordLookupResult, allowSms, allowComplaint, retryMinutes } from "./rate-limit.js";
+import { PROFILE_FIELDS, checkProfileValue, updateProfile } from "./courier-profile.js";
+import { verifyIdentity } from "./identity-verification.js";
+import { fileComplaint, COMPLAINT_CATEGORIES, DESCRIPTION_MAX } from "./complaints.js";
+import { issueVerificationCode, revokeVerificationCodes, checkVerificationCode } from "./verification-codes.js";
+import {
+  isValidGhanaCard,
+  isValidEmail,
+  isValidDVLA,
+  isValidPhone,
+  isValidName,
+  isValidUsername,
+  dateOfBirthError,
+  MIN_AGE,
+  normalizePhone,
+  parseDate
+} from "./validators.js";
+
+// =========================
+// Registration drafts
+// =========================
+// Let an interrupted sign-up continue on the next dial-in
+const draftTtlMs = () => 1000 * 60 * 60 * (Number(process.env.REGISTRATION_DRAFT_HOURS) || 24);
+const DRAFT_FIELDS = [
+  "name", "dateOfBirth", "username", "phone", "email", "dvlaNumber", "dvlaExpiresAt",
+  "ghanaCardNumber", "ghanaCardExpiresAt", "agency", "language",
+];
+const SIGNUP_STEPS = [
+  { screen: "signup.name", field: "name" },
+  { screen: "signup.dob", field: "dateOfBirth" },
+  { screen: "signup.username", field: "username" },
+  { screen: "signup.phone", field: "phone" },
+  { screen: "signup.email", field: "email" },
+  { screen: "signup.password", field: "passwordHash" },
+];
+// Screens after the password; each is saved once all its fields are entered.
+// `agency` is null for couriers who do not ride for one.
+const LATER_STEPS = [
+  { screen: "signup.dvla", fields: ["dvlaNumber", "dvlaExpiresAt"] },
+  { screen: "signup.ghanaCard", fields: ["ghanaCardNumber", "ghanaCardExpiresAt"] },
+  { screen: "signup.agency", fields: ["agency"] },
+];
+
+// The first screen after the password that still needs an answer; the PIN comes last
+const nextSignupStep = (data) => {
+  const step = LATER_STEPS.find(({ fields }) => fields.some((f) => data[f] === undefined));
+  return step ? step.screen : { next: "pin.create", data: { pinFor: "signup" } };
+};
+
+// Sign-up screens in order, for the drop-off report; "register" events count the finish
+export const SIGNUP_FUNNEL = [
+  "signup.info", "signup.name", "signup.dob", "signup.username", "signup.phone", "signup.email",
+  "signup.password", "signup.confirm", "signup.dvla", "signup.dvlaExpiry",
+  "signup.ghanaCard", "signup.ghanaCardExpiry", "signup.agency",
+];
+
+const saveDraft = async (msisdn, data) => {
+  const fields = Object.fromEntries(DRAFT_FIELDS.filter((f) => data[f] !== undefined).map((f) => [f, data[f]]));
+  try {
+    await RegistrationDraft.updateOne(
+      { msisdn: normalizePhone(msisdn || "") },
+      { data: fields, expiresAt: new Date(Date.now() + draftTtlMs()) },
+      { upsert: true }
+    );
+  } catch (err) {
+    console.error("Draft save error:", err?.message || err);
+  }
+};
+
+const findDraft = async (msisdn) => {
+  const phone = normalizePhone(msisdn || "");
+  if (!phone) return null;
+  const draft = await RegistrationDraft.findOne({ msisdn: phone, expiresAt: { $gt: new Date() } });
+  return draft && Object.keys(draft.data || {}).length ? draft : null;
+};
+
+// Rebuild the sign-up screens up to the first missing step. The password and
+// PIN are never kept, so at the latest they resume at "Create Password:"; after
+// it, signup.confirm skips the screens that were already answered.
+const resumeSteps = async (draft) => {
+  const data = { ...draft.data };
+  // Someone may have taken a value (or closed the agency) since the draft was saved
+  for (const field of ["username", "phone", "email", "dvlaNumber", "ghanaCardNumber"]) {
+    if (data[field] && await User.exists({ [field]: data[field] })) delete data[field];
+  }
+  if (data.agency && !(await Agency.exists({ _id: data.agency, active: true }))) delete data.agency;
+  // Later answers ride along on every screen so the next save keeps them
+  const later = Object.fromEntries(
+    LATER_STEPS.filter(({ fields }) => fields.every((f) => data[f] !== undefined))
+      .flatMap(({ fields }) => fields.map((f) => [f, data[f]]))
+  );
+  const steps = [];
+  let fields = {};
+  for (const step of SIGNUP_STEPS) {
+    if (step.field === "passwordHash" || data[step.field] === undefined) {
+      steps.push({ screen: step.screen, data: { ...fields, ...later } });
+      break;
+    }
+    steps.push({ screen: step.screen, data: { ...fields, ...later } });
+    fields = { ...fields, [step.field]: data[step.field] };
+  }
+  return steps;
+};
+
+// Expiry dates arrive as "YYYY-MM-DD" (see parseDate) and must still be in the future
+const expiryError = (date, ctx, key) => {
+  if (!date) return translate(ctx, `${key}.invalid`);
+  if (date <= new Date().toISOString().slice(0, 10)) return translate(ctx, `${key}.past`);
+};
+
+// Dates of birth are checked against the Ghana Card and licence registries after sign-up
+const dobError = (date, ctx) => {
+  const problem = dateOfBirthError(date);
+  if (problem) return translate(ctx, `signup.dob.${problem}`, { age: MIN_AGE });
+};
+
+const persistDraft = (value, { ctx, data }) => saveDraft(ctx.msisdn, { ...data, language: ctx.language });
+
+// Text in the caller's language; msg(key) builds a prompt or label translated when shown
+export const translate = (ctx, key, params) => t(ctx.language || DEFAULT_LANGUAGE, key, params);
+const msg = (key) => ({ ctx }) => translate(ctx, key);
+
+// =========================
+// Session start
+// =========================
+export const start = async (ctx) => {
+  ctx.loggedIn = false;
+  try {
+    // Try to identify user by msisdn phone
+    const phone = normalizePhone(ctx.msisdn || "");
+    const existing = phone ? await User.findOne({ phone }) : null;
+    if (existing && (existing.suspendedAt || existing.deletedAt)) {
+      // Staff have suspended or closed the account; only the public menu is left
+      ctx.accountStatus = existing.deletedAt ? "closed" : "suspended";
+      if (isLanguage(existing.language)) ctx.language = existing.language;
+    } else if (existing) {
+      // Recognised by phone, but the PIN screens log them in
+      ctx.userRef = existing._id.toString();
+      ctx.hasPin = !!existing.pin;
+      ctx.displayName = existing.name || existing.username || existing.phone || "Courier";
+      if (isLanguage(existing.language)) ctx.language = existing.language;
+    } else {
+      const draft = await findDraft(ctx.msisdn);
+      ctx.hasDraft = !!draft;
+      if (isLanguage(draft?.data?.language)) ctx.language = draft.data.language;
+    }
+  } catch (e) {
+    console.error("USSD start error:", e?.message || e);
+  }
+};
+
+// Callers without a saved language pick one first; recognised couriers enter
+// their PIN (or create one) before any account menu
+export const home = (ctx) => {
+  if (!ctx.language) return "language";
+  if (ctx.userRef && !ctx.loggedIn) return ctx.hasPin ? "pin.verify" : "pin.setup";
+  return ctx.loggedIn ? "home.member" : "home.guest";
+};
+
+// =========================
+// PIN
+// =========================
+const PIN_FORMAT = /^\d{4}$/;
+const FORGOT_PIN = "99";
+const pinMaxAttempts = () => Number(process.env.PIN_MAX_ATTEMPTS) || 5;
+const pinLockMinutes = () => Number(process.env.PIN_LOCK_MINUTES) || 30;
+
+const lockedMinutes = (user) => {
+  const ms = user.pinLockedUntil ? user.pinLockedUntil.getTime() - Date.now() : 0;
+  return ms > 0 ? Math.ceil(ms / 60000) : 0;
+};
+
+// Counts a wrong PIN (or password on the PIN setup screen) and locks the account once the limit is hit
+const pinFailure = async (user, ctx, retryKey) => {
+  const updated = await User.findOneAndUpdate({ _id: user._id }, { $inc: { pinFailedAttempts: 1 } }, { new: true });
+  const left = pinMaxAttempts() - updated.pinFailedAttempts;
+  if (left > 0) {
+    logActivity(ctx.msisdn, "pin_failed", { courier: user._id, attemptsLeft: left });
+    return { retry: translate(ctx, retryKey, { left }) };
+  }
+  const minutes = pinLockMinutes();
+  await User.updateOne({ _id: user._id }, { pinFailedAttempts: 0, pinLockedUntil: new Date(Date.now() + minutes * 60000) });
+  logActivity(ctx.msisdn, "pin_locked", { courier: user._id, minutes });
+  return { retry: translate(ctx, "pin.locked", { minutes }) };
+};
+
+// Texts a one-time code to the phone on file; it replaces the PIN on the next screens
+const forgotPin = async (user, ctx) => {
+  if (!(await issueOtp(user, "pin_reset", ctx.language))) return { end: translate(ctx, "limit.sms") };
+  logActivity(ctx.msisdn, "pin_reset_requested", { courier: user._id });
+  return { next: "pin.reset.code", data: {} };
+};
+
+const loggedIn = async (user, ctx) => {
+  if (user.pinFailedAttempts || user.pinLockedUntil) {
+    await User.updateOne({ _id: user._id }, { pinFailedAttempts: 0, $unset: { pinLockedUntil: 1 } });
+  }
+  ctx.loggedIn = true;
+  logActivity(ctx.msisdn, "login", { courier: user._id, channel: "ussd" });
+};
+
+// Creates the courier once sign-up is complete, including the PIN chosen in the last step
+const createCourier = async (ctx, data) => {
+  const { name, dateOfBirth, username, phone, email, passwordHash, dvlaNumber, dvlaExpiresAt, ghanaCardNumber, ghanaCardExpiresAt, agency, pinHash } = data;
+  let user;
+  try {
+    user = await User.create({
+      username,
+      password: passwordHash,
+      pin: pinHash,
+      role: "courier",
+      name,
+      dateOfBirth,
+      phone,
+      email,
+      dvlaNumber,
+      dvlaExpiresAt,
+      ghanaCardNumber,
+      ghanaCardExpiresAt,
+      agency: agency || undefined,
+      language: ctx.language
+    });
+  } catch (e) {
+    // The error message can quote a document number, so only the code and field are kept
+    logActivity(ctx.msisdn, "register_failed", { username, error: e?.code || e?.name, field: Object.keys(e?.keyPattern || e?.errors || {})[0] });
+    return { end: translate(ctx, "signup.failed") };
+  }
+  logActivity(ctx.msisdn, "register", { courier: user._id, username, agency });
+  await RegistrationDraft.deleteOne({ msisdn: normalizePhone(ctx.msisdn || "") }).catch(() => {});
+  // Registry lookups can be slow, so the caller is not kept waiting for them
+  verifyIdentity(user);
+  const message = translate(ctx, "signup.success");
+
+  // send sms and email
+  sendSms(name.split(" ")[0], phone, ctx.language);
+  sendEmailAction({ type: "welcome", from: process.env.GMAIL_FROM, to: email, subject: translate(ctx, "email.welcome.subject"), text: message, html: generateEmailHtml(name.split(" ")[0], ctx.language) });
+  return { end: message };
+};
+
+// Menu label and prompt for each field in "Update My Details"; the prompts and
+// their ".invalid"/".taken" retries are shared with sign-up
+const UPDATE_TEXT = {
+  email: { label: "summary.email", prompt: "signup.email" },
+  phone: { label: "summary.phone", prompt: "signup.phone" },
+  dvlaNumber: { label: "summary.license", prompt: "signup.dvla" },
+  ghanaCardNumber: { label: "summary.ghanaCard", prompt: "signup.ghanaCard" },
+};
+
+// Couriers answer "1" when they do not ride for an agency
+const NO_AGENCY = "1";
+const findAgency = (code) => Agency.findOne({ code, active: true });
+
+// "14:05 GMT"; Ghana keeps GMT all year
+const clockTime = (date) => `${date.toISOString().slice(11, 16)} GMT`;
+
+// Rate limits are counted against the caller's phone number
+const callerId = (ctx) => `msisdn:${normalizePhone(ctx.msisdn || "")}`;
+
+// Each SMS costs money, so a caller only gets so many a day (see allowSms). The
+// reply still shows everything and says why no SMS is coming.
+const replyWithSms = async (ctx, text, send) => {
+  if (!(await allowSms(callerId(ctx)))) return `${text}\n${translate(ctx, "limit.sms")}`;
+  send();
+  return text;
+};
+
+const lookupCourier = async (query) => {
+  if (isValidGhanaCard(query)) return User.findOne({ ghanaCardNumber: query, deletedAt: null });
+  // treat as DVLA if not ghana card
+  return User.findOne({ dvlaNumber: query, deletedAt: null });
+};
+
+// =========================
+// Screens
+// =========================
+export const screens = {
+  "language": {
+    title: ({ ctx }) => t(ctx.language || DEFAULT_LANGUAGE, "language.title"),
+    options: LANGUAGES.map((language, i) => ({
+      key: String(i + 1),
+      label: language.label,
+      action: async ({ ctx }) => {
+        ctx.language = language.code;
+        // Returning couriers keep their choice for next time
+        if (ctx.userRef) {
+          await User.updateOne({ _id: ctx.userRef }, { language: language.code });
+          logActivity(ctx.msisdn, "language_changed", { courier: ctx.userRef, language: language.code });
+        }
+        return { home: true };
+      }
+    })),
+  },
+
+  "home.guest": {
+    title: ({ ctx }) => [ctx.accountStatus && translate(ctx, `account.${ctx.accountStatus}`), translate(ctx, "home.guest.title")].filter(Boolean).join("\n"),
+    options: [
+      { key: "1", label: msg("menu.signUp"), when: ({ ctx }) => !ctx.accountStatus, next: "signup.info" },
+      { key: "2", label: msg("menu.lookup"), next: "lookup" },
+      { key: "3", label: msg("menu.cancel"), action: ({ ctx }) => ({ end: translate(ctx, "goodbye.guest") }) },
+      {
+        key: "4",
+        label: msg("menu.continueRegistration"),
+        when: ({ ctx }) => ctx.hasDraft,
+        action: async ({ ctx }) => {
+          const draft = await findDraft(ctx.msisdn);
+          if (draft) return { push: await resumeSteps(draft) };
+          ctx.hasDraft = false;
+          return { home: true, message: translate(ctx, "draft.expired") };
+        }
+      },
+      { key: "5", label: msg("menu.verifyCode"), next: "code.check" },
+      { key: "6", label: msg("menu.report"), next: "report.courier" },
+    ],
+  },
+
+  "home.member": {
+    title: ({ ctx }) => translate(ctx, "home.member.title", { name: ctx.displayName || "Courier" }),
+    options: [
+      {
+        key: "1",
+        label: msg("menu.viewDetails"),
+        action: async ({ ctx }) => {
+          try {
+            const me = await User.findById(ctx.userRef);
+            if (!me) return { end: translate(ctx, "details.notFound") };
+            const summary = courierSummary(formatCourier(me, "self"), ctx.language);
+            logActivity(ctx.msisdn, "view_details", { courier: me._id });
+            return { end: await replyWithSms(ctx, summary, () => sendSmsDetails(summary, me.phone, ctx.language)) };
+          } catch {
+            return { end: translate(ctx, "details.unavailable") };
+          }
+        }
+      },
+      { key: "2", label: msg("menu.lookup"), next: "lookup" },
+      { key: "3", label: msg("menu.cancel"), action: ({ ctx }) => ({ end: translate(ctx, "goodbye.member") }) },
+      { key: "4", label: msg("menu.language"), next: "language" },
+      {
+        key: "5",
+        label: msg("menu.forgotPassword"),
+        action: async ({ ctx }) => {
+          const me = await User.findById(ctx.userRef);
+          if (!me) return { end: translate(ctx, "details.notFound") };
+          if (!(await issueOtp(me, "password_reset", ctx.language))) return { end: translate(ctx, "limit.sms") };
+          logActivity(ctx.msisdn, "password_reset_requested", { courier: me._id, channel: "ussd" });
+          return "password.code";
+        }
+      },
+      { key: "6", label: msg("menu.updateDetails"), next: "update" },
+      { key: "7", label: msg("menu.myCode"), next: "code.manage" },
+      { key: "8", label: msg("menu.verifyCode"), next: "code.check" },
+    ],
+  },
+
+  // Verification Codes
+  "code.manage": {
+    title: msg("code.title"),
+    options: [
+      {
+        key: "1",
+        label: msg("code.new"),
+        action: async ({ ctx }) => {
+          const { code, expiresAt } = await issueVerificationCode(ctx.userRef);
+          logActivity(ctx.msisdn, "verification_code_issued", { courier: ctx.userRef, channel: "ussd" });
+          return { end: translate(ctx, "code.issued", { code, time: clockTime(expiresAt) }) };
+        }
+      },
+      {
+        key: "2",
+        label: msg("code.revoke"),
+        action: async ({ ctx }) => {
+          await revokeVerificationCodes(ctx.userRef);
+          logActivity(ctx.msisdn, "verification_code_revoked", { courier: ctx.userRef, channel: "ussd" });
+          return { end: translate(ctx, "code.revoked") };
+        }
+      },
+    ],
+  },
+  // Anyone can check a code; it counts as a lookup for rate limiting
+  "code.check": {
+    prompt: msg("code.prompt"),
+    action: async (input, { ctx }) => {
+      const caller = [callerId(ctx)];
+      const limit = await checkLookup(caller);
+      if (!limit.allowed) {
+        logActivity(ctx.msisdn, "lookup_limited", { channel: "ussd", caller: ctx.userRef, reason: limit.reason });
+        return { end: translate(ctx, `limit.${limit.reason}`, { minutes: retryMinutes(limit.retryAfterMs) }) };
+      }
+      const match = await checkVerificationCode(input);
+      logActivity(ctx.msisdn, "lookup", {
+        channel: "ussd",
+        courier: match?.user._id,
+        caller: ctx.userRef,
+        queryType: "verificationCode",
+        found: !!match,
+        audience: "public"
+      });
+      const blockedMs = await recordLookupResult(caller, !!match);
+      if (blockedMs) {
+        logActivity(ctx.msisdn, "lookup_blocked", { channel: "ussd", caller: ctx.userRef });
+        return { end: translate(ctx, "limit.blocked", { minutes: retryMinutes(blockedMs) }) };
+      }
+      if (!match) return { retry: translate(ctx, "code.invalid") };
+      const summary = courierSummary(formatCourier(match.user, "public"), ctx.language);
+      return { end: `${translate(ctx, "code.valid", { time: clockTime(match.expiresAt) })}\n${summary}` };
+    },
+  },
+
+  // Update My Details Flow
+  "update": {
+    title: msg("update.title"),
+    options: Object.entries(UPDATE_TEXT).map(([field, text], i) => ({
+      key: String(i + 1),
+      label: msg(text.label),
+      next: { next: "update.value", data: { field } },
+    })).concat({ key: String(Object.keys(UPDATE_TEXT).length + 1), label: msg("menu.agency"), next: "update.agency" }),
+  },
+  "update.agency": {
+    prompt: msg("signup.agency"),
+    parse: (input) => input.trim().toUpperCase(),
+    validate: async (code, { ctx }) => (code === NO_AGENCY || await findAgency(code) ? null : translate(ctx, "signup.agency.invalid")),
+    action: async (code, { ctx }) => {
+      if (code === NO_AGENCY) {
+        await User.updateOne({ _id: ctx.userRef }, { $unset: { agency: 1 } });
+        logActivity(ctx.msisdn, "agency_left", { courier: ctx.userRef });
+        return { end: translate(ctx, "update.agency.left") };
+      }
+      const agency = await findAgency(code);
+      await User.updateOne({ _id: ctx.userRef }, { agency: agency._id });
+      logActivity(ctx.msisdn, "agency_joined", { courier: ctx.userRef, agency: agency._id });
+      return { end: translate(ctx, "update.agency.saved", { agency: agency.name }) };
+    },
+  },
+  "update.value": {
+    prompt: ({ ctx, data }) => translate(ctx, UPDATE_TEXT[data.field].prompt),
+    action: async (input, { ctx, data }) => {
+      const { field } = data;
+      const value = PROFILE_FIELDS[field].normalize(input);
+      const problem = await checkProfileValue(ctx.userRef, field, value);
+      if (problem) return { retry: translate(ctx, `${UPDATE_TEXT[field].prompt}.${problem}`) };
+      const me = await User.findById(ctx.userRef);
+      if (!me) return { end: translate(ctx, "details.notFound") };
+      await updateProfile(me, { [field]: value }, { actor: me.username, msisdn: ctx.msisdn });
+      return { end: translate(ctx, PROFILE_FIELDS[field].document ? "update.saved.document" : "update.saved") };
+    },
+  },
+
+  // Info screen before sign-up; any input continues (USSD convention)
+  "signup.info": {
+    prompt: msg("signup.info"),
+    next: "signup.name",
+  },
+
+  // Sign Up Flow
+  "signup.name": {
+    prompt: msg("signup.name"),
+    field: "name",
+    validate: (name, { ctx }) => (isValidName(name) ? null : translate(ctx, "signup.name.invalid")),
+    action: persistDraft,
+    next: "signup.dob",
+  },
+  "signup.dob": {
+    prompt: msg("signup.dob"),
+    field: "dateOfBirth",
+    parse: parseDate,
+    validate: (date, { ctx }) => dobError(date, ctx),
+    action: persistDraft,
+    next: "signup.username",
+  },
+  "signup.username": {
+    prompt: msg("signup.username"),
+    field: "username",
+    validate: async (username, { ctx }) => {
+      if (!isValidUsername(username)) return translate(ctx, "signup.username.invalid");
+      if (await User.exists({ username })) return translate(ctx, "signup.username.taken");
+    },
+    action: persistDraft,
+    next: "signup.phone",
+  },
+  "signup.phone": {
+    prompt: msg("signup.phone"),
+    field: "phone",
+    parse: (input) => normalizePhone(input.trim()),
+    validate: async (phone, { ctx }) => {
+      if (!isValidPhone(phone)) return translate(ctx, "signup.phone.invalid");
+      if (await User.exists({ phone })) return translate(ctx, "signup.phone.taken");
+    },
+    action: persistDraft,
+    next: "signup.email",
+  },
+  "signup.email": {
+    prompt: msg("signup.email"),
+    field: "email",
+    validate: async (email, { ctx }) => {
+      if (!isValidEmail(email)) return translate(ctx, "signup.email.invalid");
+      if (await User.exists({ email })) return translate(ctx, "signup.email.taken");
+    },
+    action: persistDraft,
+    next: "signup.password",
+  },
+  "signup.password": {
+    prompt: msg("signup.password"),
+    validate: (password, { ctx }) => (password.length < 6 ? translate(ctx, "signup.password.short") : null),
+    // Only the hash is kept in the session
+    action: async (password) => ({ next: "signup.confirm", data: { passwordHash: await bcrypt.hash(password, 10) } }),
+  },
+  "signup.confirm": {
+    prompt: msg("signup.confirm"),
+    action: async (confirm, { ctx, data }) => {
+      // Go back to password step
+      if (!(await bcrypt.compare(confirm, data.passwordHash))) return { back: 1, message: translate(ctx, "signup.confirm.mismatch") };
+      // A resumed draft may already hold the documents and the agency
+      return nextSignupStep(data);
+    },
+  },
+  "signup.dvla": {
+    prompt: msg("signup.dvla"),
+    field: "dvlaNumber",
+    parse: (input) => input.trim().toUpperCase(),
+    validate: async (dvlaNumber, { ctx }) => {
+      if (!isValidDVLA(dvlaNumber)) return translate(ctx, "signup.dvla.invalid");
+      if (await User.exists({ dvlaNumber })) return translate(ctx, "signup.dvla.taken");
+    },
+    next: "signup.dvlaExpiry",
+  },
+  "signup.dvlaExpiry": {
+    prompt: msg("signup.dvlaExpiry"),
+    field: "dvlaExpiresAt",
+    parse: parseDate,
+    validate: (date, { ctx }) => expiryError(date, ctx, "signup.dvlaExpiry"),
+    action: persistDraft,
+    next: (date, { data }) => nextSignupStep(data),
+  },
+  "signup.ghanaCard": {
+    prompt: msg("signup.ghanaCard"),
+    field: "ghanaCardNumber",
+    parse: (input) => input.trim().toUpperCase(),
+    validate: async (ghanaCardNumber, { ctx }) => {
+      if (!isValidGhanaCard(ghanaCardNumber)) return translate(ctx, "signup.ghanaCard.invalid");
+      if (await User.exists({ ghanaCardNumber })) return translate(ctx, "signup.ghanaCard.taken");
+    },
+    next: "signup.ghanaCardExpiry",
+  },
+  "signup.ghanaCardExpiry": {
+    prompt: msg("signup.ghanaCardExpiry"),
+    field: "ghanaCardExpiresAt",
+    parse: parseDate,
+    validate: (date, { ctx }) => expiryError(date, ctx, "signup.ghanaCardExpiry"),
+    action: persistDraft,
+    next: (date, { data }) => nextSignupStep(data),
+  },
+  "signup.agency": {
+    prompt: msg("signup.agency"),
+    parse: (input) => input.trim().toUpperCase(),
+    validate: async (code, { ctx }) => (code === NO_AGENCY || await findAgency(code) ? null : translate(ctx, "signup.agency.invalid")),
+    action: async (code, state) => {
+      const agency = code === NO_AGENCY ? null : await findAgency(code);
+      state.data.agency = agency ? agency._id.toString() : null;
+      await persistDraft(code, state);
+      // The account is created once the PIN is confirmed
+      return nextSignupStep(state.data);
+    },
+  },
+
+  // PIN Flow
+  "pin.verify": {
+    prompt: ({ ctx }) => translate(ctx, "pin.verify", { name: ctx.displayName || "Courier" }),
+    action: async (pin, { ctx }) => {
+      const user = await User.findById(ctx.userRef);
+      if (!user) return { end: translate(ctx, "details.notFound") };
+      if (pin === FORGOT_PIN) return forgotPin(user, ctx);
+      const minutes = lockedMinutes(user);
+      if (minutes) return { retry: translate(ctx, "pin.locked", { minutes }) };
+      if (!user.pin || !(await bcrypt.compare(pin, user.pin))) return pinFailure(user, ctx, "pin.wrong");
+      await loggedIn(user, ctx);
+      return { home: true };
+    },
+  },
+  // Couriers registered before PINs existed prove who they are with their password
+  "pin.setup": {
+    prompt: ({ ctx }) => translate(ctx, "pin.setup", { name: ctx.displayName || "Courier" }),
+    action: async (password, { ctx }) => {
+      const user = await User.findById(ctx.userRef);
+      if (!user) return { end: translate(ctx, "details.notFound") };
+      // The lockout message offers a reset here too
+      if (password === FORGOT_PIN) return forgotPin(user, ctx);
+      const minutes = lockedMinutes(user);
+      if (minutes) return { retry: translate(ctx, "pin.locked", { minutes }) };
+      if (!(await bcrypt.compare(password, user.password))) return pinFailure(user, ctx, "pin.setup.wrong");
+      return { next: "pin.create", data: { pinFor: "setup" } };
+    },
+  },
+  "pin.reset.code": {
+    prompt: msg("otp.sent"),
+    action: async (code, { ctx }) => {
+      const result = await verifyOtp(ctx.userRef, "pin_reset", code);
+      if (result.ok) return { next: "pin.create", data: { pinFor: "reset" } };
+      if (result.attemptsLeft > 0) return { retry: translate(ctx, "otp.invalid", { left: result.attemptsLeft }) };
+      logActivity(ctx.msisdn, "pin_reset_failed", { courier: ctx.userRef });
+      return { end: translate(ctx, "otp.failed") };
+    },
+  },
+  "pin.create": {
+    prompt: msg("pin.create"),
+    validate: (pin, { ctx }) => (PIN_FORMAT.test(pin) ? null : translate(ctx, "pin.create.invalid")),
+    // Only the hash is kept in the session
+    action: async (pin) => ({ next: "pin.confirm", data: { pinHash: await bcrypt.hash(pin, 10) } }),
+  },
+  "pin.confirm": {
+    prompt: msg("pin.confirm"),
+    action: async (pin, { ctx, data }) => {
+      if (!(await bcrypt.compare(pin, data.pinHash))) return { back: 1, message: translate(ctx, "pin.confirm.mismatch") };
+      if (data.pinFor === "signup") return createCourier(ctx, data);
+      await User.updateOne(
+        { _id: ctx.userRef },
+        { pin: data.pinHash, pinFailedAttempts: 0, $unset: { pinLockedUntil: 1 } }
+      );
+      logActivity(ctx.msisdn, "pin_set", { courier: ctx.userRef, reason: data.pinFor });
+      ctx.hasPin = true;
+      ctx.loggedIn = true;
+      return { home: true, message: translate(ctx, "pin.saved") };
+    },
+  },
+
+  // Password Reset Flow (portal password, see generateEmailHtml)
+  "password.code": {
+    prompt: msg("otp.sent"),
+    action: async (code, { ctx }) => {
+      const result = await verifyOtp(ctx.userRef, "password_reset", code);
+      if (result.ok) return "password.new";
+      if (result.attemptsLeft > 0) return { retry: translate(ctx, "otp.invalid", { left: result.attemptsLeft }) };
+      logActivity(ctx.msisdn, "password_reset_failed", { courier: ctx.userRef, channel: "ussd" });
+      return { end: translate(ctx, "otp.failed") };
+    },
+  },
+  "password.new": {
+    prompt: msg("signup.password"),
+    validate: (password, { ctx }) => (password.length < 6 ? translate(ctx, "signup.password.short") : null),
+    // Only the hash is kept in the session
+    action: async (password) => ({ next: "password.confirm", data: { passwordHash: await bcrypt.hash(password, 10) } }),
+  },
+  "password.confirm": {
+    prompt: msg("signup.confirm"),
+    action: async (password, { ctx, data }) => {
+      if (!(await bcrypt.compare(password, data.passwordHash))) return { back: 1, message: translate(ctx, "signup.confirm.mismatch") };
+      await User.updateOne({ _id: ctx.userRef }, { password: data.passwordHash });
+      logActivity(ctx.msisdn, "password_reset", { courier: ctx.userRef, channel: "ussd" });
+      return { end: translate(ctx, "password.saved") };
+    },
+  },
+
+  // Report a Courier Flow; nothing about the courier is shown, so it does not count as a lookup
+  "report.courier": {
+    prompt: msg("report.courier"),
+    field: "courierQuery",
+    parse: (input) => input.trim().toUpperCase(),
+    validate: (query, { ctx }) => (query ? null : translate(ctx, "report.courier")),
+    next: "report.category",
+  },
+  "report.category": {
+    title: msg("report.category"),
+    options: COMPLAINT_CATEGORIES.map((category, i) => ({
+      key: String(i + 1),
+      label: msg(`report.category.${category}`),
+      next: { next: "report.description", data: { category } },
+    })),
+  },
+  "report.description": {
+    prompt: msg("report.description"),
+    parse: (input) => input.trim(),
+    validate: (text, { ctx }) => (text.length >= 3 && text.length <= DESCRIPTION_MAX ? null : translate(ctx, "report.description.invalid", { max: DESCRIPTION_MAX })),
+    action: async (description, { ctx, data }) => {
+      if (!(await allowComplaint(callerId(ctx)))) {
+        logActivity(ctx.msisdn, "complaint_limited", { channel: "ussd" });
+        return { end: translate(ctx, "limit.complaint") };
+      }
+      const courier = await lookupCourier(data.courierQuery);
+      const { reference } = await fileComplaint({
+        courier: courier?._id,
+        courierQuery: data.courierQuery,
+        category: data.category,
+        description,
+        msisdn: ctx.msisdn,
+      });
+      const filed = translate(ctx, "report.filed", { reference });
+      return { end: await replyWithSms(ctx, filed, () => sendTemplatedSms("complaint", { reference }, ctx.msisdn, ctx.language)) };
+    },
+  },
+
+  // Lookup Flow
+  "lookup": {
+    prompt: msg("lookup.prompt"),
+    parse: (input) => input.trim().toUpperCase(),
+    action: async (query, { ctx }) => {
+      const caller = [callerId(ctx)];
+      const limit = await checkLookup(caller);
+      if (!limit.allowed) {
+        logActivity(ctx.msisdn, "lookup_limited", { channel: "ussd", caller: ctx.userRef, reason: limit.reason });
+        return { end: translate(ctx, `limit.${limit.reason}`, { minutes: retryMinutes(limit.retryAfterMs) }) };
+      }
+      const user = await lookupCourier(query);
+      // Only the courier themselves, after entering their PIN, gets full details; every other caller is public
+      const isSelf = !!user && ctx.loggedIn && user._id.toString() === ctx.userRef;
+      logActivity(ctx.msisdn, "lookup", {
+        channel: "ussd",
+        courier: user?._id,
+        caller: ctx.userRef,
+        queryType: isValidGhanaCard(query) ? "ghanaCard" : "dvla",
+        found: !!user,
+        audience: isSelf ? "self" : "public"
+      });
+      const blockedMs = await recordLookupResult(caller, !!user);
+      if (blockedMs) {
+        logActivity(ctx.msisdn, "lookup_blocked", { channel: "ussd", caller: ctx.userRef });
+        return { end: translate(ctx, "limit.blocked", { minutes: retryMinutes(blockedMs) }) };
+      }
+      if (!user) return { retry: translate(ctx, "lookup.notFound") };
+      const summary = courierSummary(formatCourier(user, isSelf ? "self" : "public"), ctx.language);
+      return { end: await replyWithSms(ctx, summary, () => sendSmsDetails(summary, ctx.msisdn, ctx.language)) };
+    },
+  },
+};
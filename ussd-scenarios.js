@@ -0,0 +1,103 @@
+// =========================
+// USSD Scenario Runner
+// =========================
+// Replays scripted USSD sessions against a running app and checks each screen.
+// A scenario is a JSON file:
+//   {
+//     "name": "Sign up",
+//     "msisdn": "0241000001",
+//     "steps": [
+//       { "send": "dial", "expect": "Choose language" },
+//       { "send": "1", "expect": ["Sign Up", "Lookup Courier"] },
+//       { "send": "9", "expect": "Choose language" },
+//       "1",
+//       { "send": "3", "expect": "Goodbye", "end": true }
+//     ]
+//   }
+// "dial" starts a new session. `expect` is text (or a list of texts) the screen
+// must contain, `match` a regular expression it must match, and `end` whether
+// the session must be over after the step. A plain string is a step without checks.
+//
+//   npm run scenarios -- --url http://localhost:8000/ussd
+import fs from "fs/promises";
+import { pathToFileURL } from "url";
+import { createSimulator, renderScreen } from "./ussd-simulator.js";
+
+const DIAL = "dial";
+
+// Problems with one reply, as strings; none means the step passed
+const checkReply = (step, reply) => {
+  const problems = [];
+  const expected = step.expect === undefined ? [] : [].concat(step.expect);
+  for (const text of expected) {
+    if (!reply.message.includes(text)) problems.push(`expected "${text}"`);
+  }
+  if (step.match && !new RegExp(step.match).test(reply.message)) problems.push(`expected to match /${step.match}/`);
+  if (step.end !== undefined && step.end === reply.continueSession) {
+    problems.push(step.end ? "expected the session to end" : "expected the session to continue");
+  }
+  return problems;
+};
+
+// Resolves to { name, passed, steps, failures: [{ step, send, problems, screen }] }; stops at the first failure
+export const runScenario = async (scenario, { url, log } = {}) => {
+  const simulator = createSimulator({ url, msisdn: scenario.msisdn, code: scenario.code });
+  const steps = scenario.steps || [];
+  const failures = [];
+  for (const [i, raw] of steps.entries()) {
+    const step = typeof raw === "string" ? { send: raw } : raw;
+    let reply;
+    try {
+      reply = step.send === DIAL ? await simulator.dial() : await simulator.send(String(step.send ?? ""));
+    } catch (err) {
+      failures.push({ step: i + 1, send: step.send, problems: [err?.message || String(err)] });
+      break;
+    }
+    log?.(`> ${step.send}\n${renderScreen(reply)}`);
+    const problems = checkReply(step, reply);
+    if (problems.length) {
+      failures.push({ step: i + 1, send: step.send, problems, screen: reply.message });
+      break;
+    }
+  }
+  return { name: scenario.name, passed: !failures.length, steps: steps.length, failures };
+};
+
+export const loadScenario = async (file) => {
+  const scenario = JSON.parse(await fs.readFile(file, "utf8"));
+  return { name: file, ...scenario };
+};
+
+export const formatFailure = ({ step, send, problems, screen }) =>
+  [`  step ${step} (${JSON.stringify(send)}): ${problems.join(", ")}`, ...(screen ? screen.split("\n").map((line) => `    | ${line}`) : [])].join("\n");
+
+const main = async () => {
+  const args = process.argv.slice(2);
+  let url = process.env.USSD_URL || `http://localhost:${process.env.PORT || 8000}/ussd`;
+  let verbose = false;
+  const files = [];
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === "--url") url = args[++i];
+    else if (args[i].startsWith("--url=")) url = args[i].slice(6);
+    else if (args[i] === "--verbose") verbose = true;
+    else files.push(args[i]);
+  }
+  if (!files.length) {
+    console.error("Usage: node ussd-scenarios.js [--url <ussd url>] [--verbose] <scenario.json>...");
+    process.exitCode = 2;
+    return;
+  }
+  let failed = 0;
+  for (const file of files) {
+    const result = await runScenario(await loadScenario(file), { url, log: verbose ? console.log : undefined });
+    console.log(`${result.passed ? "✅" : "❌"} ${result.name}`);
+    if (!result.passed) {
+      failed += 1;
+      result.failures.forEach((failure) => console.log(formatFailure(failure)));
+    }
+  }
+  console.log(`${files.length - failed}/${files.length} scenarios passed`);
+  if (failed) process.exitCode = 1;
+};
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) main();
@@ -0,0 +1,112 @@
+// =========================
+// USSD Simulator
+// =========================
+// Plays the part of a handset and the Arkesel gateway: every request is posted
+// to /ussd in Arkesel's shape, and replies are drawn like a phone screen.
+//
+//   npm run simulate -- --url http://localhost:8000/ussd --msisdn 0241234567
+//
+// Type the menu choices as you would on a phone. ".dial" starts a new session,
+// ".quit" (or Ctrl+C) leaves. After a session ends, the next input dials again.
+// Also used by ussd-scenarios.js and the tests through createSimulator().
+import crypto from "crypto";
+import readline from "readline";
+import { pathToFileURL } from "url";
+
+const SCREEN_WIDTH = 30;
+
+// `url` is the /ussd endpoint; `code` is what the handset dials
+export const createSimulator = ({ url = "http://localhost:8000/ussd", msisdn = "0240000000", code = "*928#", network = "MTN" } = {}) => {
+  let sessionID = null;
+
+  const post = async (newSession, userData) => {
+    const response = await fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ sessionID, userID: "USSD_SIMULATOR", newSession, msisdn, userData, network }),
+    });
+    if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+    const { message, continueSession } = await response.json();
+    if (!continueSession) sessionID = null;
+    return { message, continueSession: !!continueSession };
+  };
+
+  return {
+    msisdn,
+    get sessionID() {
+      return sessionID;
+    },
+    dial: () => {
+      sessionID = crypto.randomUUID();
+      return post(true, code);
+    },
+    send: async (input) => {
+      if (!sessionID) throw new Error("No USSD session; dial first");
+      return post(false, input);
+    },
+  };
+};
+
+const wrap = (line, width) => {
+  const lines = [];
+  let rest = line;
+  while (rest.length > width) {
+    const cut = rest.lastIndexOf(" ", width) > 0 ? rest.lastIndexOf(" ", width) : width;
+    lines.push(rest.slice(0, cut));
+    rest = rest.slice(cut).trimStart();
+  }
+  lines.push(rest);
+  return lines;
+};
+
+// The reply as a boxed phone screen, with "[Reply]" or "[Session ended]" underneath
+export const renderScreen = ({ message, continueSession }, width = SCREEN_WIDTH) => {
+  const lines = message.split("\n").flatMap((line) => wrap(line, width - 2));
+  const border = "─".repeat(width);
+  return [
+    `┌${border}┐`,
+    ...lines.map((line) => `│ ${line.padEnd(width - 2)} │`),
+    `└${border}┘`,
+    continueSession ? "  [Reply]" : "  [Session ended]",
+  ].join("\n");
+};
+
+const parseArgs = (argv) => {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const match = argv[i].match(/^--(\w+)(?:=(.*))?$/);
+    if (match) args[match[1]] = match[2] ?? argv[++i];
+  }
+  return args;
+};
+
+const main = async () => {
+  const args = parseArgs(process.argv.slice(2));
+  const simulator = createSimulator({
+    url: args.url || process.env.USSD_URL || `http://localhost:${process.env.PORT || 8000}/ussd`,
+    msisdn: args.msisdn,
+    code: args.code,
+  });
+  console.log(`Dialling ${args.code || "*928#"} from ${simulator.msisdn}`);
+  let rl;
+  try {
+    console.log(renderScreen(await simulator.dial()));
+    // Created after the first reply so piped input is not read before anyone listens
+    rl = readline.createInterface({ input: process.stdin, output: process.stdout, prompt: "> " });
+    rl.prompt();
+    for await (const line of rl) {
+      const input = line.trim();
+      if (input === ".quit") break;
+      const reply = input === ".dial" || !simulator.sessionID ? await simulator.dial() : await simulator.send(input);
+      console.log(renderScreen(reply));
+      rl.prompt();
+    }
+  } catch (err) {
+    console.error(`❌ ${err?.message || err}`);
+    process.exitCode = 1;
+  } finally {
+    rl?.close();
+  }
+};
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) main();
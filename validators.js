@@ -0,0 +1,39 @@
+// =========================
+// Validators
+// =========================
+export const isValidGhanaCard = (card) => /^GHA-\d{9}-\d{2}$/i.test(card.trim());
+export const isValidEmail = (email) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email.trim());
+export const isValidDVLA = (dvla) => /^[A-Za-z0-9\-]{5,}$/.test(dvla.trim());
+export const isValidName = (name) => name.trim().length >= 3 && !/\d/.test(name);
+export const isValidUsername = (username) => /^[a-zA-Z0-9_\.\-]{3,20}$/.test(username.trim());
+// Ghana phone validation: accepts 024XXXXXXX, 054XXXXXXX, +23324XXXXXXX, 23324XXXXXXX
+export const isValidPhone = (phone) => {
+  const p = (phone || "").toString().trim();
+  return /^(?:0|\+?233)\d{9}$/.test(p);
+};
+// Normalize phone to E.164 +233XXXXXXXXX
+export const normalizePhone = (phone) => {
+  const p = (phone || "").toString().trim();
+  if (/^0\d{9}$/.test(p)) return "+233" + p.slice(1);
+  if (/^233\d{9}$/.test(p)) return "+" + p;
+  if (/^\+233\d{9}$/.test(p)) return p;
+  return p;
+};
+// Parse DD/MM/YYYY, DD-MM-YYYY or YYYY-MM-DD to "YYYY-MM-DD"; null when not a real date
+export const parseDate = (input) => {
+  const p = (input || "").toString().trim();
+  const m = p.match(/^(\d{1,2})[\/\-.](\d{1,2})[\/\-.](\d{4})$/) || p.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  if (!m) return null;
+  const [year, month, day] = m[3]?.length === 4 ? [m[3], m[2], m[1]] : [m[1], m[2], m[3]];
+  const date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)));
+  if (date.getUTCMonth() !== Number(month) - 1 || date.getUTCDate() !== Number(day)) return null;
+  return date.toISOString().slice(0, 10);
+};
+// Couriers must be adults; `date` comes from parseDate. Resolves to "invalid", "age" or nothing
+export const MIN_AGE = 18;
+export const dateOfBirthError = (date) => {
+  if (!date) return "invalid";
+  const today = new Date().toISOString().slice(0, 10);
+  const latest = `${Number(today.slice(0, 4)) - MIN_AGE}${today.slice(4)}`;
+  if (date > latest || date < "1900-01-01") return "age";
+};
@@ -0,0 +1,45 @@
+// =========================
+// Verification Codes
+// =========================
+// A courier gets a short numeric code to show a customer, who checks it over
+// USSD or HTTP. Codes expire after VERIFY_CODE_MINUTES (default 15), a new
+// code replaces the old one, and the courier can cancel it at any time.
+// Checking a code counts as a lookup for rate limiting (see rate-limit.js).
+import crypto from "crypto";
+import { VerificationCode } from "./models.js";
+
+const CODE_LENGTH = 6;
+export const verifyCodeMinutes = () => Number(process.env.VERIFY_CODE_MINUTES) || 15;
+
+// Codes are looked up by value, so they are hashed without a salt
+const hashCode = (code) => crypto.createHash("sha256").update(code).digest("hex");
+
+export const normalizeCode = (input) => (input || "").toString().replace(/\D/g, "");
+
+export const revokeVerificationCodes = (userId) =>
+  VerificationCode.updateMany({ user: userId, revokedAt: null }, { revokedAt: new Date() });
+
+// Resolves to { code, expiresAt }
+export const issueVerificationCode = async (userId) => {
+  await revokeVerificationCodes(userId);
+  const expiresAt = new Date(Date.now() + verifyCodeMinutes() * 60 * 1000);
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const code = crypto.randomInt(0, 10 ** CODE_LENGTH).toString().padStart(CODE_LENGTH, "0");
+    try {
+      await VerificationCode.create({ user: userId, codeHash: hashCode(code), expiresAt });
+      return { code, expiresAt };
+    } catch (err) {
+      // Same code as another record that has not been cleaned up yet; draw again
+      if (err?.code !== 11000) throw err;
+    }
+  }
+  throw new Error("Could not allocate a verification code");
+};
+
+// Resolves to { user, expiresAt } for a live code, or null
+export const checkVerificationCode = async (input) => {
+  const code = normalizeCode(input);
+  if (code.length !== CODE_LENGTH) return null;
+  const record = await VerificationCode.findOne({ codeHash: hashCode(code), revokedAt: null, expiresAt: { $gt: new Date() } }).populate("user");
+  return record?.user && !record.user.deletedAt ? { user: record.user, expiresAt: record.expiresAt } : null;
+};